@@ -0,0 +1,93 @@
+// API key storage: keys are shown once at creation and only their hash is kept
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { logger } = require('./logger');
+
+const SCOPES = ['send', 'bulk', 'read-chats', 'metrics', 'admin'];
+const KEY_PREFIX = 'wak_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const sameHash = (a, b) =>
+    a.length === b.length && crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+
+const createApiKeyStore = () => {
+    const store = createJsonStore('api-keys', { keys: [] });
+    const state = store.load();
+
+    // ADMIN_API_KEY is the bootstrap credential used to create the first keys
+    const adminKeyHash = process.env.ADMIN_API_KEY ? hashKey(process.env.ADMIN_API_KEY) : null;
+
+    const persist = () => store.save(state);
+
+    const publicKey = (record) => ({
+        id: record.id,
+        name: record.name,
+        prefix: record.prefix,
+        scopes: record.scopes,
+        createdAt: record.createdAt,
+        lastUsedAt: record.lastUsedAt,
+        revokedAt: record.revokedAt
+    });
+
+    const create = ({ name, scopes }) => {
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const record = {
+            id: crypto.randomUUID(),
+            name,
+            prefix: key.slice(0, KEY_PREFIX.length + 6),
+            hash: hashKey(key),
+            scopes,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+        state.keys.push(record);
+        persist();
+        logger.info('API key created', { keyId: record.id, name, scopes });
+        return { key, record };
+    };
+
+    const revoke = (id) => {
+        const record = state.keys.find(k => k.id === id);
+        if (!record) return null;
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            persist();
+            logger.info('API key revoked', { keyId: record.id, name: record.name });
+        }
+        return record;
+    };
+
+    // Resolves a presented key to { id, name, scopes }, or null if unknown/revoked
+    const verify = (key) => {
+        if (!key) return null;
+        const hash = hashKey(key);
+
+        if (adminKeyHash && sameHash(hash, adminKeyHash)) {
+            return { id: 'env-admin', name: 'ADMIN_API_KEY', scopes: ['admin'] };
+        }
+
+        const record = state.keys.find(k => !k.revokedAt && sameHash(hash, k.hash));
+        if (!record) return null;
+
+        // lastUsedAt is informational; avoid a disk write on every request
+        const now = Date.now();
+        if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() > 60000) {
+            record.lastUsedAt = new Date(now).toISOString();
+            persist();
+        }
+        return { id: record.id, name: record.name, scopes: record.scopes };
+    };
+
+    return {
+        create,
+        revoke,
+        verify,
+        list: () => state.keys.map(publicKey),
+        publicKey,
+        isConfigured: () => !!adminKeyHash || state.keys.some(k => !k.revokedAt)
+    };
+};
+
+module.exports = { SCOPES, createApiKeyStore };
@@ -0,0 +1,173 @@
+// Session archive stores for whatsapp-web.js RemoteAuth, so a linked device
+// survives redeploys that wipe the local disk.
+//
+// A store implements RemoteAuth's interface: sessionExists, save, extract and
+// delete, each called with { session } (plus { path } for extract). RemoteAuth
+// leaves the archive to save at ./<session>.zip.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { apiError } = require('./errors');
+const { logger } = require('./logger');
+
+const storeError = (message) => apiError('AUTH_STORE_ERROR', message);
+
+const pendingArchive = (session) => path.resolve(`${session}.zip`);
+
+// One archive file per session in a directory, e.g. a mounted persistent volume
+const createDirectoryStore = ({ dir }) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const archivePath = (session) => path.join(dir, `${session}.zip`);
+
+    return {
+        type: 'directory',
+        sessionExists: async ({ session }) => fs.existsSync(archivePath(session)),
+        // Written next to the old archive and renamed, so a crash never leaves half a file
+        save: async ({ session }) => {
+            const target = archivePath(session);
+            await fs.promises.copyFile(pendingArchive(session), `${target}.tmp`);
+            await fs.promises.rename(`${target}.tmp`, target);
+        },
+        extract: async ({ session, path: target }) => fs.promises.copyFile(archivePath(session), target),
+        delete: async ({ session }) => fs.promises.rm(archivePath(session), { force: true })
+    };
+};
+
+// Archives kept as blobs in a key-value backend. The client needs async
+// get(key) -> Buffer|null, set(key, buffer) and del(key); exists(key) is used
+// when present to avoid downloading the archive just to check for it.
+const createBlobStore = ({ client, prefix = 'wwebjs/', type = 'blob' }) => {
+    const keyFor = (session) => `${prefix}${session}.zip`;
+
+    return {
+        type,
+        sessionExists: async ({ session }) => (client.exists
+            ? client.exists(keyFor(session))
+            : (await client.get(keyFor(session))) !== null),
+        save: async ({ session }) => client.set(keyFor(session), await fs.promises.readFile(pendingArchive(session))),
+        extract: async ({ session, path: target }) => {
+            const data = await client.get(keyFor(session));
+            if (!data) throw storeError(`No stored archive for ${session}`);
+            await fs.promises.writeFile(target, data);
+        },
+        delete: async ({ session }) => client.del(keyFor(session))
+    };
+};
+
+// In-process stand-in for a blob backend; archives are lost on restart, so it
+// is only meant for tests and local runs
+const createMemoryBlobClient = () => {
+    const blobs = new Map();
+    return {
+        exists: async (key) => blobs.has(key),
+        get: async (key) => blobs.get(key) || null,
+        set: async (key, data) => { blobs.set(key, Buffer.from(data)); },
+        del: async (key) => { blobs.delete(key); }
+    };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// AWS Signature Version 4 for a request without a query string. headers must
+// include host, x-amz-date and x-amz-content-sha256; returns the Authorization value.
+const signRequest = ({ method, pathname, headers, region, accessKeyId, secretAccessKey }) => {
+    const amzDate = headers['x-amz-date'];
+    const date = amzDate.slice(0, 8);
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+        method,
+        pathname,
+        '',
+        names.map(name => `${name}:${String(lower[name]).trim()}\n`).join(''),
+        signedHeaders,
+        lower['x-amz-content-sha256']
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+// Blob client for S3 and S3-compatible services (R2, MinIO, Backblaze B2),
+// using path-style URLs: <endpoint>/<bucket>/<key>
+const createS3Client = ({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey }) => {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 auth store needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    const base = new URL(endpoint);
+
+    const request = async (method, key, body) => {
+        const url = new URL(base);
+        url.pathname = `${base.pathname.replace(/\/$/, '')}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+        const headers = {
+            host: url.host,
+            'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+            'x-amz-content-sha256': sha256(body || '')
+        };
+        const authorization = signRequest({ method, pathname: url.pathname, headers, region, accessKeyId, secretAccessKey });
+        delete headers.host;
+
+        const res = await fetch(url, { method, headers: { ...headers, authorization }, body });
+        if (!res.ok && res.status !== 404) {
+            throw storeError(`S3 ${method} ${key} failed: ${res.status} ${await res.text()}`);
+        }
+        return res;
+    };
+
+    return {
+        exists: async (key) => (await request('HEAD', key)).ok,
+        get: async (key) => {
+            const res = await request('GET', key);
+            return res.ok ? Buffer.from(await res.arrayBuffer()) : null;
+        },
+        set: async (key, data) => { await request('PUT', key, data); },
+        del: async (key) => { await request('DELETE', key); }
+    };
+};
+
+// Factories for AUTH_STORE; local means LocalAuth, so no store
+const STORE_FACTORIES = {
+    local: () => null,
+    directory: (env) => {
+        if (!env.AUTH_STORE_DIR) throw new Error('AUTH_STORE=directory needs AUTH_STORE_DIR');
+        return createDirectoryStore({ dir: path.resolve(env.AUTH_STORE_DIR) });
+    },
+    s3: (env) => createBlobStore({
+        type: 's3',
+        prefix: env.S3_PREFIX || 'wwebjs/',
+        client: createS3Client({
+            endpoint: env.S3_ENDPOINT,
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION || 'us-east-1',
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY
+        })
+    }),
+    memory: () => {
+        logger.warn('AUTH_STORE=memory keeps session archives in memory only; they are lost on restart');
+        return createBlobStore({ type: 'memory', client: createMemoryBlobClient() });
+    }
+};
+
+// AUTH_STORE=local (the default) | directory | s3 | memory
+const createAuthStoreFromEnv = (env = process.env) => {
+    const type = (env.AUTH_STORE || 'local').toLowerCase();
+    if (!Object.hasOwn(STORE_FACTORIES, type)) {
+        throw new Error(`Unknown AUTH_STORE "${type}" (use ${Object.keys(STORE_FACTORIES).join(', ')})`);
+    }
+    return STORE_FACTORIES[type](env);
+};
+
+module.exports = {
+    createAuthStoreFromEnv,
+    createBlobStore,
+    createDirectoryStore,
+    createMemoryBlobClient,
+    createS3Client
+};
@@ -0,0 +1,85 @@
+// API key authentication middleware for the Authorization header
+const { apiError, sendError } = require('./errors');
+const { logger } = require('./logger');
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+
+// Accepts "Bearer <key>", or HTTP Basic with the key as the password so the
+// browser's own login prompt works for HTML pages such as /qr
+const extractKey = (header) => {
+    if (!header) return null;
+    const [type, value] = header.split(' ');
+    if (!value) return null;
+
+    if (type.toLowerCase() === 'bearer') {
+        return value.trim();
+    }
+    if (type.toLowerCase() === 'basic') {
+        const decoded = Buffer.from(value, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        return separator === -1 ? decoded : decoded.slice(separator + 1) || decoded.slice(0, separator);
+    }
+    return null;
+};
+
+const createAuth = ({ apiKeys }) => {
+    if (AUTH_DISABLED) {
+        logger.warn('AUTH_DISABLED=true: every route is open to anyone who can reach this server');
+    } else if (!apiKeys.isConfigured()) {
+        logger.warn('No API keys configured. Set ADMIN_API_KEY to access protected routes.');
+    }
+
+    const acceptKey = (key, req, res, next) => {
+        const apiKey = apiKeys.verify(key);
+        if (!apiKey) {
+            return sendError(res, apiError('UNAUTHORIZED', 'Invalid API key'));
+        }
+
+        req.apiKey = apiKey;
+        next();
+    };
+
+    // Resolves the caller's key onto req.apiKey; a bad key is rejected outright
+    const authenticate = (req, res, next) => {
+        const header = req.get('Authorization');
+        if (!header) return next();
+        acceptKey(extractKey(header), req, res, next);
+    };
+
+    // EventSource cannot set headers, so event streams also take ?apiKey=
+    const authenticateQuery = (req, res, next) => {
+        if (req.apiKey || !req.query.apiKey) return next();
+        acceptKey(String(req.query.apiKey), req, res, next);
+    };
+
+    const hasScope = (apiKey, scope) => {
+        if (AUTH_DISABLED) return true;
+        if (!apiKey) return false;
+        return !scope || apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+    };
+
+    // Admin keys satisfy every scope; a null scope accepts any valid key.
+    // Pass { browser: true } for HTML pages so an anonymous visitor gets the
+    // Basic auth prompt. requiredScope tells the OpenAPI document what the
+    // route needs.
+    const requireScope = (scope, { browser = false } = {}) => Object.assign((req, res, next) => {
+        if (AUTH_DISABLED) return next();
+
+        if (!req.apiKey) {
+            if (browser) {
+                res.set('WWW-Authenticate', 'Basic realm="WhatsApp API", charset="UTF-8"');
+            }
+            return sendError(res, apiError('UNAUTHORIZED', 'API key required. Send it as "Authorization: Bearer <key>".'));
+        }
+
+        if (!hasScope(req.apiKey, scope)) {
+            return sendError(res, apiError('FORBIDDEN', `This API key lacks the "${scope}" scope`));
+        }
+
+        next();
+    }, { requiredScope: scope });
+
+    return { authenticate, authenticateQuery, hasScope, requireScope };
+};
+
+module.exports = { createAuth };
@@ -0,0 +1,366 @@
+// Bulk campaign jobs: feed recipients into the message queue one at a time
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createJsonStore } = require('./store');
+const { logger } = require('./logger');
+
+const FINISHED_JOB_LIMIT = 100;
+
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+// Recipient status: pending -> queued -> sent | failed, or cancelled, or
+// skipped when its idempotency key was already used or the number is on the
+// opt-out list (checked at creation and again just before it is queued).
+// Only one recipient per job is in the queue at a time, so pausing or
+// cancelling takes effect before the next message goes out. Pacing comes from
+// the send governor; intervalMs adds an extra per-job gap on top of it.
+const createBulkJobManager = ({ messageQueue, governor, optOuts }) => {
+    const events = new EventEmitter();
+    const store = createJsonStore('bulk-jobs', { jobs: [] });
+    const state = store.load();
+    const timers = new Map();
+
+    const persist = () => store.save(state);
+
+    const findJob = (id) => state.jobs.find(job => job.id === id) || null;
+
+    const counts = (job) => {
+        const summary = { total: job.recipients.length, sent: 0, failed: 0, pending: 0, cancelled: 0, skipped: 0 };
+        job.recipients.forEach(recipient => {
+            if (recipient.status === 'sent') summary.sent++;
+            else if (recipient.status === 'failed') summary.failed++;
+            else if (recipient.status === 'cancelled') summary.cancelled++;
+            else if (recipient.status === 'skipped') summary.skipped++;
+            else summary.pending++;
+        });
+        return summary;
+    };
+
+    // Average time per recipient so far, falling back to the pacing interval
+    const estimateRemainingMs = (job, summary) => {
+        if (job.status !== 'running' || summary.pending === 0) return 0;
+        const done = summary.sent + summary.failed;
+        const elapsed = job.startedAt ? Date.now() - new Date(job.startedAt).getTime() - (job.pausedMs || 0) : 0;
+        const perRecipient = done > 0 ? elapsed / done : governor.averageGapMs() + job.intervalMs;
+        const waiting = job.rateLimitedUntil ? Math.max(new Date(job.rateLimitedUntil).getTime() - Date.now(), 0) : 0;
+        return Math.round(Math.max(perRecipient, job.intervalMs) * summary.pending + waiting);
+    };
+
+    const describe = (job, { includeResults = true } = {}) => {
+        const summary = counts(job);
+        const etaMs = estimateRemainingMs(job, summary);
+        const view = {
+            id: job.id,
+            sessionId: job.sessionId || 'default',
+            status: job.status,
+            message: job.message,
+            template: job.template || null,
+            media: job.media || null,
+            intervalMs: job.intervalMs,
+            rateLimitedUntil: job.rateLimitedUntil || null,
+            summary,
+            eta: etaMs ? new Date(Date.now() + etaMs).toISOString() : null,
+            etaSeconds: Math.round(etaMs / 1000),
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            updatedAt: job.updatedAt
+        };
+        if (includeResults) {
+            view.results = job.recipients;
+        }
+        return view;
+    };
+
+    const touch = (job) => {
+        job.updatedAt = new Date().toISOString();
+    };
+
+    const pruneFinished = () => {
+        const finished = state.jobs.filter(job => FINISHED_STATUSES.includes(job.status));
+        if (finished.length <= FINISHED_JOB_LIMIT) return;
+        const drop = new Set(finished.slice(0, finished.length - FINISHED_JOB_LIMIT).map(job => job.id));
+        state.jobs = state.jobs.filter(job => !drop.has(job.id));
+    };
+
+    // The job's attachment is released once it is over and the recipient
+    // still in the queue, if any, has settled
+    const releaseIfDone = (job) => {
+        if (!FINISHED_STATUSES.includes(job.status) || job.released) return;
+        if (job.recipients.some(recipient => recipient.status === 'queued')) return;
+        job.released = true;
+        events.emit('released', job);
+    };
+
+    const finish = (job) => {
+        job.status = 'completed';
+        job.finishedAt = new Date().toISOString();
+        job.updatedAt = job.finishedAt;
+        const summary = counts(job);
+        logger.info('Bulk job complete', { bulkJobId: job.id, sent: summary.sent, failed: summary.failed });
+        releaseIfDone(job);
+        pruneFinished();
+        events.emit('finished', job);
+    };
+
+    const optedOut = (timestamp) => ({
+        status: 'skipped',
+        error: 'Recipient has opted out of messages',
+        errorCode: 'OPTED_OUT',
+        timestamp
+    });
+
+    const schedule = (job, delay) => {
+        clearTimeout(timers.get(job.id));
+        timers.set(job.id, setTimeout(() => {
+            timers.delete(job.id);
+            advance(job);
+        }, Math.max(delay, 0)));
+    };
+
+    // Queue the next pending recipient once the previous one has settled
+    // and the pacing interval has passed
+    const advance = (job) => {
+        if (job.status !== 'running') return;
+        if (job.recipients.some(recipient => recipient.status === 'queued')) return;
+
+        const wait = (job.nextSendAt || 0) - Date.now();
+        if (wait > 0) {
+            schedule(job, wait);
+            return;
+        }
+
+        const recipient = job.recipients.find(r => r.status === 'pending');
+        if (!recipient) {
+            finish(job);
+            persist();
+            return;
+        }
+
+        // The number may have opted out since the job was created
+        if (optOuts.has(recipient.phone)) {
+            Object.assign(recipient, optedOut(new Date().toISOString()));
+            touch(job);
+            persist();
+            schedule(job, 0);
+            return;
+        }
+
+        // Account-wide limits hold the job back; a recipient over its own
+        // limit is skipped so it cannot stall everyone after it
+        try {
+            governor.admit(job.sessionId, recipient.phone);
+        } catch (error) {
+            if (error.errorCode !== 'RATE_LIMITED') throw error;
+            if (error.limit.scope === 'global') {
+                job.rateLimitedUntil = new Date(Date.now() + error.retryAfter * 1000).toISOString();
+                touch(job);
+                persist();
+                logger.info('Bulk job rate limited', { bulkJobId: job.id, retryAfter: error.retryAfter, error: error.message });
+                schedule(job, error.retryAfter * 1000);
+                return;
+            }
+            Object.assign(recipient, {
+                status: 'failed',
+                error: error.message,
+                errorCode: error.errorCode,
+                timestamp: new Date().toISOString()
+            });
+            touch(job);
+            persist();
+            schedule(job, 0);
+            return;
+        }
+        job.rateLimitedUntil = null;
+
+        const queued = messageQueue.enqueue({
+            sessionId: job.sessionId,
+            phone: recipient.phone,
+            message: recipient.message || job.message,
+            media: job.media,
+            batchId: job.id,
+            legacyChatCreation: !!job.legacyChatCreation
+        });
+        recipient.status = 'queued';
+        recipient.queueId = queued.id;
+        recipient.queuedAt = queued.createdAt;
+        touch(job);
+        persist();
+        logger.info('Bulk job recipient queued', {
+            bulkJobId: job.id,
+            position: job.recipients.indexOf(recipient) + 1,
+            total: job.recipients.length,
+            phone: recipient.phone,
+            jobId: queued.id
+        });
+    };
+
+    const settle = (queueJob) => {
+        if (!queueJob.batchId) return;
+        const job = findJob(queueJob.batchId);
+        if (!job) return;
+        const recipient = job.recipients.find(r => r.queueId === queueJob.id);
+        if (!recipient || recipient.status !== 'queued') return;
+
+        if (queueJob.status === 'sent') {
+            recipient.status = 'sent';
+            recipient.messageId = queueJob.messageId;
+        } else {
+            recipient.status = 'failed';
+            recipient.error = queueJob.lastError;
+            recipient.errorCode = queueJob.errorCode;
+        }
+        recipient.timestamp = queueJob.updatedAt;
+        job.nextSendAt = Date.now() + job.intervalMs;
+        touch(job);
+        releaseIfDone(job);
+        persist();
+        events.emit('progress', job);
+        advance(job);
+    };
+
+    messageQueue.on('sent', settle);
+    messageQueue.on('dead', settle);
+
+    // recipients are phone strings, or { phone, message } when each one gets
+    // its own rendered template text. Recipients carrying an errorCode (e.g. an
+    // invalid number) are recorded as failed and never queued; those with
+    // duplicateOf, or on the opt-out list, are recorded as skipped.
+    const create = ({ sessionId = 'default', recipients, message = null, template = null, media = null, intervalMs, legacyChatCreation = false }) => {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            sessionId,
+            status: 'running',
+            message,
+            template,
+            media,
+            legacyChatCreation,
+            intervalMs: Math.max(parseInt(intervalMs, 10) || 0, 0),
+            recipients: recipients.map(recipient => {
+                if (typeof recipient === 'string') recipient = { phone: recipient };
+                const base = { phone: recipient.phone, idempotencyKey: recipient.idempotencyKey };
+                if (recipient.errorCode) {
+                    return { ...base, status: 'failed', error: recipient.error, errorCode: recipient.errorCode, timestamp: now };
+                }
+                if (recipient.duplicateOf) {
+                    return { ...base, status: 'skipped', duplicateOf: recipient.duplicateOf, timestamp: now };
+                }
+                if (optOuts.has(recipient.phone)) {
+                    return { ...base, ...optedOut(now) };
+                }
+                return { ...base, message: recipient.message, status: 'pending' };
+            }),
+            nextSendAt: 0,
+            pausedMs: 0,
+            createdAt: now,
+            startedAt: now,
+            finishedAt: null,
+            updatedAt: now
+        };
+        state.jobs.push(job);
+        persist();
+        logger.info('Starting bulk job', { bulkJobId: job.id, session: sessionId, recipients: recipients.length });
+        advance(job);
+        return job;
+    };
+
+    const pause = (job) => {
+        if (job.status !== 'running') return false;
+        clearTimeout(timers.get(job.id));
+        timers.delete(job.id);
+        job.status = 'paused';
+        job.pausedAt = new Date().toISOString();
+        touch(job);
+        persist();
+        logger.info('Bulk job paused', { bulkJobId: job.id });
+        events.emit('progress', job);
+        return true;
+    };
+
+    const resume = (job) => {
+        if (job.status !== 'paused') return false;
+        job.pausedMs = (job.pausedMs || 0) + (Date.now() - new Date(job.pausedAt).getTime());
+        job.pausedAt = null;
+        job.status = 'running';
+        touch(job);
+        persist();
+        logger.info('Bulk job resumed', { bulkJobId: job.id });
+        events.emit('progress', job);
+        advance(job);
+        return true;
+    };
+
+    // The recipient already handed to the queue is left to finish, and keeps the
+    // attachment until it settles; the rest are dropped. reason ({ error,
+    // errorCode }) is recorded on each dropped recipient.
+    const stop = (job, reason = {}) => {
+        clearTimeout(timers.get(job.id));
+        timers.delete(job.id);
+        job.recipients.forEach(recipient => {
+            if (recipient.status === 'pending') {
+                Object.assign(recipient, { status: 'cancelled', ...reason });
+            }
+        });
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        job.updatedAt = job.finishedAt;
+        releaseIfDone(job);
+        logger.info('Bulk job cancelled', { bulkJobId: job.id, errorCode: reason.errorCode });
+        events.emit('finished', job);
+    };
+
+    const cancel = (job) => {
+        if (FINISHED_STATUSES.includes(job.status)) return false;
+        stop(job);
+        pruneFinished();
+        persist();
+        return true;
+    };
+
+    // A deleted session has nothing left to send through. Call this before the
+    // queue discards the session, so no job queues its next recipient meanwhile.
+    const discardSession = (sessionId) => {
+        const reason = { error: `Session "${sessionId}" was deleted`, errorCode: 'SESSION_DELETED' };
+        state.jobs
+            .filter(job => job.sessionId === sessionId && !FINISHED_STATUSES.includes(job.status))
+            .forEach(job => stop(job, reason));
+        pruneFinished();
+        persist();
+    };
+
+    // Recipients queued before a restart may have settled while we were down.
+    // Deferred so the server has attached its listeners, and attachments
+    // released here are actually removed.
+    setImmediate(() => {
+        state.jobs.forEach(job => {
+            job.recipients
+                .filter(recipient => recipient.status === 'queued')
+                .forEach(recipient => {
+                    const queueJob = messageQueue.get(recipient.queueId);
+                    if (!queueJob) {
+                        recipient.status = FINISHED_STATUSES.includes(job.status) ? 'cancelled' : 'pending';
+                    } else if (queueJob.status === 'sent' || queueJob.status === 'dead') {
+                        settle(queueJob);
+                    }
+                });
+            releaseIfDone(job);
+            advance(job);
+        });
+        persist();
+    });
+
+    return {
+        create,
+        get: findJob,
+        list: () => state.jobs.map(job => describe(job, { includeResults: false })),
+        describe,
+        pause,
+        resume,
+        cancel,
+        discardSession,
+        on: events.on.bind(events)
+    };
+};
+
+module.exports = { createBulkJobManager };
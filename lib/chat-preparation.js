@@ -0,0 +1,121 @@
+// Makes sure a chat can be sent to without sending anything the recipient can see
+const { apiError } = require('./errors');
+const { logger } = require('./logger');
+
+const CACHE_TTL_MS = parseInt(process.env.CHAT_PREP_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const CACHE_LIMIT = 10000;
+
+const prepError = (message, errorCode) => apiError(errorCode, message);
+
+// The original behavior: force the chat into existence with a visible message.
+// Only used when a request sets legacyChatCreation.
+const createChatWithFiller = async (client, chatId) => {
+    try {
+        await client.sendMessage(chatId, '.');
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    } catch (error) {
+        if (!error.message.includes('LID')) throw error;
+        logger.info('Trying alternative filler message', { chatId });
+        await client.sendMessage(chatId, 'Hi, this is a test message from WhatsApp API.', { linkPreview: false });
+    }
+    logger.warn('Chat created with a filler message', { chatId });
+};
+
+// Resolution order: number lookup (registered?) -> LID/phone mapping ->
+// contact -> chat. getChatById finds or creates the chat locally, which is
+// what sendMessage needs to avoid "No LID for user".
+const createChatPreparer = () => {
+    const prepared = new Map();
+
+    const cacheKey = (sessionId, chatId) => `${sessionId}:${chatId}`;
+
+    const remember = (key, entry) => {
+        prepared.delete(key);
+        prepared.set(key, entry);
+        if (prepared.size > CACHE_LIMIT) {
+            prepared.delete(prepared.keys().next().value);
+        }
+    };
+
+    const cached = (key) => {
+        const entry = prepared.get(key);
+        if (!entry) return null;
+        if (Date.now() - entry.preparedAt > CACHE_TTL_MS) {
+            prepared.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    // Resolves to { chatId, lid, cached } or throws NOT_REGISTERED / CHAT_NOT_CREATED
+    const prepare = async (session, chatId, { legacyChatCreation = false } = {}) => {
+        const { client } = session;
+        const key = cacheKey(session.id, chatId);
+        const hit = cached(key);
+        if (hit) {
+            return { ...hit, cached: true };
+        }
+
+        logger.info('Preparing chat', { session: session.id, chatId });
+        const numberId = await client.getNumberId(chatId);
+        if (!numberId) {
+            throw prepError(`${chatId} is not registered on WhatsApp`, 'NOT_REGISTERED');
+        }
+        const resolvedId = numberId._serialized;
+
+        // Loads the LID mapping into the WhatsApp Web store
+        let lid = null;
+        try {
+            const [mapping] = await client.getContactLidAndPhone([resolvedId]);
+            lid = (mapping && mapping.lid) || null;
+        } catch (error) {
+            logger.debug('LID lookup failed', { session: session.id, chatId: resolvedId, error: error.message });
+        }
+
+        try {
+            await client.getContactById(resolvedId);
+        } catch (error) {
+            logger.debug('Contact lookup failed', { session: session.id, chatId: resolvedId, error: error.message });
+        }
+
+        let chat = null;
+        try {
+            chat = await client.getChatById(resolvedId);
+        } catch (error) {
+            logger.debug('Chat lookup failed', { session: session.id, chatId: resolvedId, error: error.message });
+        }
+
+        if (!chat) {
+            if (!legacyChatCreation) {
+                throw prepError(
+                    `Could not open a chat with ${chatId}. The contact's privacy settings may prevent new chats.`,
+                    'CHAT_NOT_CREATED'
+                );
+            }
+            await createChatWithFiller(client, resolvedId);
+        }
+
+        const entry = { chatId: resolvedId, lid, preparedAt: Date.now() };
+        remember(key, entry);
+        logger.info('Chat ready', { session: session.id, chatId: resolvedId, lid });
+        return { ...entry, cached: false };
+    };
+
+    // Dropped after a send still fails with a chat error, so the next attempt re-resolves
+    const forget = (sessionId, chatId) => prepared.delete(cacheKey(sessionId, chatId));
+
+    const clearSession = (sessionId) => {
+        Array.from(prepared.keys())
+            .filter(key => key.startsWith(`${sessionId}:`))
+            .forEach(key => prepared.delete(key));
+    };
+
+    return {
+        prepare,
+        forget,
+        clearSession,
+        size: () => prepared.size
+    };
+};
+
+module.exports = { createChatPreparer };
@@ -0,0 +1,136 @@
+// Contact directory: cached contact lists, profiles and WhatsApp registration checks
+const { serializeContact } = require('./serializers');
+const { apiError } = require('./errors');
+const { logger } = require('./logger');
+
+// Contact lists and profiles change rarely; registration even less
+const CACHE_TTL_MS = parseInt(process.env.CONTACTS_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+const REGISTRATION_TTL_MS = parseInt(process.env.REGISTRATION_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const CACHE_LIMIT = 10000;
+
+// Insertion-ordered Map with a TTL; the oldest entry goes when it is full
+const createTtlCache = (ttlMs) => {
+    const entries = new Map();
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (Date.now() - entry.fetchedAt > ttlMs) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    const set = (key, value) => {
+        entries.delete(key);
+        const entry = { value, fetchedAt: Date.now() };
+        entries.set(key, entry);
+        if (entries.size > CACHE_LIMIT) {
+            entries.delete(entries.keys().next().value);
+        }
+        return entry;
+    };
+
+    const removeWhere = (predicate) => {
+        [...entries.keys()].filter(predicate).forEach(key => entries.delete(key));
+    };
+
+    return { get, set, delete: (key) => entries.delete(key), removeWhere };
+};
+
+// Optional lookups (about text, picture, labels) fail for privacy settings or
+// non-business accounts; those just come back empty
+const optional = (promise, fallback) => promise.catch(() => fallback);
+
+const createContactDirectory = () => {
+    const lists = createTtlCache(CACHE_TTL_MS);
+    const profiles = createTtlCache(CACHE_TTL_MS);
+    const registrations = createTtlCache(REGISTRATION_TTL_MS);
+
+    const cacheKey = (sessionId, id) => `${sessionId}:${id}`;
+
+    const withCacheInfo = (entry, cached) => ({
+        ...entry.value,
+        cached,
+        fetchedAt: new Date(entry.fetchedAt).toISOString()
+    });
+
+    // Every individual contact the account knows, people only (no groups)
+    const list = async (session, { refresh = false } = {}) => {
+        const hit = !refresh && lists.get(session.id);
+        if (hit) return { contacts: hit.value, cached: true, fetchedAt: new Date(hit.fetchedAt).toISOString() };
+
+        const contacts = (await session.client.getContacts())
+            .filter(contact => contact.isUser && !contact.isGroup && !contact.isMe)
+            .map(serializeContact);
+        const entry = lists.set(session.id, contacts);
+        return { contacts, cached: false, fetchedAt: new Date(entry.fetchedAt).toISOString() };
+    };
+
+    // Full profile: contact fields plus about text, profile picture and labels
+    const get = async (session, chatId, { refresh = false } = {}) => {
+        const key = cacheKey(session.id, chatId);
+        const hit = !refresh && profiles.get(key);
+        if (hit) return withCacheInfo(hit, true);
+
+        const { client } = session;
+        const contact = await client.getContactById(chatId).catch(() => null);
+        if (!contact || contact.isGroup) {
+            throw apiError('CONTACT_NOT_FOUND', `Contact ${chatId} not found`);
+        }
+
+        const [about, profilePicUrl, labels] = await Promise.all([
+            optional(contact.getAbout(), null),
+            optional(contact.getProfilePicUrl(), null),
+            optional(client.getChatLabels(contact.id._serialized), [])
+        ]);
+        const profile = {
+            ...serializeContact(contact),
+            about,
+            profilePicUrl: profilePicUrl || null,
+            labels: labels.map(label => ({ id: label.id, name: label.name, color: label.hexColor }))
+        };
+        return withCacheInfo(profiles.set(key, profile), false);
+    };
+
+    // Whether the number behind chatId has a WhatsApp account
+    const isRegistered = async (session, chatId) => {
+        const key = cacheKey(session.id, chatId);
+        const hit = registrations.get(key);
+        if (hit) return hit.value;
+        const registered = await session.client.isRegisteredUser(chatId);
+        registrations.set(key, registered);
+        return registered;
+    };
+
+    const setBlocked = async (session, chatId, blocked) => {
+        const contact = await session.client.getContactById(chatId).catch(() => null);
+        if (!contact || contact.isGroup) {
+            throw apiError('CONTACT_NOT_FOUND', `Contact ${chatId} not found`);
+        }
+        if (blocked) await contact.block();
+        else await contact.unblock();
+
+        profiles.delete(cacheKey(session.id, chatId));
+        lists.delete(session.id);
+        logger.info(blocked ? 'Contact blocked' : 'Contact unblocked', { session: session.id, chatId });
+        return { ...serializeContact(contact), isBlocked: blocked };
+    };
+
+    const clearSession = (sessionId) => {
+        lists.delete(sessionId);
+        profiles.removeWhere(key => key.startsWith(`${sessionId}:`));
+        registrations.removeWhere(key => key.startsWith(`${sessionId}:`));
+    };
+
+    return {
+        list,
+        get,
+        isRegistered,
+        setBlocked,
+        clearSession
+    };
+};
+
+module.exports = { createContactDirectory };
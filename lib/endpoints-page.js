@@ -0,0 +1,110 @@
+// HTML for /endpoints, rendered from the OpenAPI document so it lists exactly
+// the routes the server has. Per-session copies of a legacy route
+// (/sessions/:sessionId/send for /send) are folded into the legacy entry.
+const { TAGS } = require('./openapi');
+
+const SESSION_PREFIX = '/sessions/{sessionId}';
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Express-style paths read better here than OpenAPI's {param}
+const displayPath = (path) => path.replace(/\{(\w+)\}/g, ':$1');
+
+const listOperations = (document) => {
+    const operations = Object.entries(document.paths).flatMap(([path, methods]) =>
+        Object.entries(methods).map(([method, operation]) => ({ path, method, operation, aliases: [] })));
+    const byKey = new Map(operations.map(entry => [`${entry.method} ${entry.path}`, entry]));
+
+    return operations.filter(entry => {
+        if (!entry.path.startsWith(`${SESSION_PREFIX}/`)) return true;
+        const legacy = byKey.get(`${entry.method} ${entry.path.slice(SESSION_PREFIX.length)}`);
+        if (!legacy) return true;
+        legacy.aliases.push(entry.path);
+        return false;
+    });
+};
+
+const scopeLabel = (operation) => {
+    if (!('x-scope' in operation)) return 'public';
+    return operation['x-scope'] ? `scope: ${operation['x-scope']}` : 'any API key';
+};
+
+const renderOperation = ({ path, method, operation, aliases }) => {
+    const query = (operation.parameters || []).filter(param => param.in === 'query').map(param => param.name);
+    const body = operation.requestBody && operation.requestBody.content['application/json'];
+    const details = [
+        scopeLabel(operation),
+        query.length > 0 ? `query: ${query.join(', ')}` : null,
+        aliases.length > 0 ? `also ${aliases.map(alias => `<code>${escapeHtml(displayPath(alias))}</code>`).join(', ')}` : null
+    ].filter(Boolean);
+
+    return `
+                    <div class="endpoint">
+                        <span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(displayPath(path))}</code>
+                        <p>${escapeHtml(operation.summary)}</p>
+                        <p class="details">${details.join(' · ')}</p>${body && body.example ? `
+                        <pre>${escapeHtml(JSON.stringify(body.example))}</pre>` : ''}
+                    </div>`;
+};
+
+const renderEndpointsPage = (document, { whatsappReady }) => {
+    const operations = listOperations(document);
+    const sections = TAGS
+        .map(tag => ({ tag, entries: operations.filter(entry => entry.operation.tags[0] === tag.name) }))
+        .filter(section => section.entries.length > 0)
+        .map(({ tag, entries }) => `
+                    <h3>${tag.heading}</h3>
+                    ${entries.map(renderOperation).join('\n')}`)
+        .join('\n');
+
+    return `
+        <html>
+            <head>
+                <title>API Endpoints - Railway WhatsApp</title>
+                <meta name="viewport" content="width=device-width, initial-scale=1">
+                <style>
+                    body { font-family: Arial, sans-serif; padding: 20px; background: #f5f5f5; }
+                    .container { max-width: 800px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                    .railway-badge { background: #0f0f23; color: white; padding: 5px 10px; border-radius: 15px; font-size: 12px; margin: 10px 0; }
+                    .endpoint { background: #f8f9fa; padding: 15px; margin: 10px 0; border-radius: 5px; border-left: 4px solid #25D366; }
+                    .endpoint p { margin: 6px 0; }
+                    .details { color: #6c757d; font-size: 13px; }
+                    .method { background: #25D366; color: white; padding: 2px 8px; border-radius: 3px; font-size: 12px; }
+                    .method.get { background: #007bff; }
+                    .method.post { background: #28a745; }
+                    .method.put { background: #fd7e14; }
+                    .method.delete { background: #dc3545; }
+                    code { background: #e9ecef; padding: 2px 4px; border-radius: 3px; }
+                    pre { white-space: pre-wrap; word-break: break-all; }
+                    .btn { background: #25D366; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; text-decoration: none; display: inline-block; margin: 5px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <h1>📋 API Endpoints</h1>
+                    <div class="railway-badge">🚂 Railway WhatsApp API</div>
+
+                    <p>Generated from the OpenAPI document at <a href="/openapi.json"><code>/openapi.json</code></a>, which has every field, parameter and response.</p>
+                    <p>Endpoints that need a key take <code>Authorization: Bearer &lt;api key&gt;</code>.</p>
+                    <p>Errors are <code>{"success": false, "error": "...", "errorCode": "RATE_LIMITED", "requestId": "..."}</code> with a matching HTTP status; the codes are listed in the README. Requests that fail validation get <code>INVALID_REQUEST</code> with a <code>fields</code> list.</p>
+${sections}
+
+                    <h3>📊 Current Status</h3>
+                    <p><strong>WhatsApp:</strong> ${whatsappReady ? '✅ Connected' : '❌ Not Connected'}</p>
+                    <p><strong>Server:</strong> ✅ Running</p>
+                    <p><strong>Platform:</strong> Railway</p>
+
+                    <a href="/" class="btn">🏠 Home</a>
+                    <a href="/qr" class="btn">📱 QR Code</a>
+                    <a href="/status" class="btn">📊 Status</a>
+                </div>
+            </body>
+        </html>
+    `;
+};
+
+module.exports = { renderEndpointsPage };
@@ -0,0 +1,185 @@
+// Error catalog: every errorCode the API returns, with its HTTP status. Codes
+// are stable; callers should branch on errorCode, never on the message text.
+const { logger } = require('./logger');
+
+// permanent: a send failing with this code will never succeed on retry, so the
+// queue dead-letters it at once
+const ERROR_CATALOG = {
+    // Requests
+    INVALID_REQUEST: { status: 400, description: 'A header, query parameter or body field is missing or invalid; see fields' },
+    INVALID_JSON: { status: 400, description: 'The request body is not valid JSON' },
+    PAYLOAD_TOO_LARGE: { status: 413, description: 'The request body is larger than the server accepts' },
+    UNAUTHORIZED: { status: 401, description: 'No API key, or an unknown or revoked one' },
+    FORBIDDEN: { status: 403, description: 'The API key lacks the scope this endpoint needs' },
+    ROUTE_NOT_FOUND: { status: 404, description: 'No endpoint with this method and path' },
+    INTERNAL_ERROR: { status: 500, description: 'Unexpected server error; the requestId identifies it in the logs' },
+    IDEMPOTENCY_KEY_MISMATCH: { status: 422, description: 'The Idempotency-Key was already used with a different request' },
+    IDEMPOTENCY_KEY_IN_PROGRESS: { status: 409, description: 'A request with this Idempotency-Key is still being processed' },
+
+    // Sessions and the WhatsApp client
+    SESSION_NOT_FOUND: { status: 404, description: 'No session with this id' },
+    INVALID_SESSION: { status: 400, description: 'The session id has invalid characters' },
+    SESSION_EXISTS: { status: 409, description: 'A session with this id already exists' },
+    SESSION_PROTECTED: { status: 409, description: 'The default session cannot be deleted' },
+    SESSION_RUNNING: { status: 409, description: 'The session is already running' },
+    SESSION_NOT_RUNNING: { status: 409, description: 'The session is stopped' },
+    SESSION_ERROR: { status: 500, description: 'Starting, stopping or logging out the session failed' },
+    SESSION_DELETED: { status: 410, permanent: true, description: 'The session was deleted before the message was sent' },
+    CLIENT_NOT_READY: { status: 503, description: 'WhatsApp is not connected yet; retry once /status reports ready' },
+    AUTH_STORE_NOT_CONFIGURED: { status: 409, description: 'Backups need AUTH_STORE set to a remote store' },
+    AUTH_STORE_ERROR: { status: 502, description: 'The session archive store failed' },
+    NO_AUTH_BACKUP: { status: 404, description: 'No session archive has been stored yet' },
+    INVALID_ARCHIVE: { status: 400, description: 'The uploaded session archive is not a zip file' },
+
+    // API keys
+    API_KEY_NOT_FOUND: { status: 404, description: 'No API key with this id' },
+
+    // Sending
+    INVALID_PHONE: { status: 400, description: 'The phone number or chat id cannot be parsed' },
+    LID_NOT_RESOLVED: { status: 422, permanent: true, description: 'No phone number is known for the LID, so the opt-out list cannot be checked' },
+    NOT_REGISTERED: { status: 422, permanent: true, description: 'The number is not on WhatsApp' },
+    NO_LID_ERROR: { status: 422, permanent: true, description: 'WhatsApp has no LID for the contact; privacy settings or a block prevent sending' },
+    BLOCKED: { status: 422, permanent: true, description: 'The contact has blocked this account' },
+    CHAT_NOT_CREATED: { status: 422, permanent: true, description: 'A chat with the contact could not be opened (see legacyChatCreation)' },
+    OPTED_OUT: { status: 422, permanent: true, description: 'The recipient is on the opt-out list' },
+    RATE_LIMITED: { status: 429, description: 'A rate limit or daily cap was reached; see Retry-After' },
+    TIMEOUT: { status: 503, description: 'WhatsApp did not answer in time; safe to retry' },
+    SEND_ERROR: { status: 502, description: 'WhatsApp rejected the send for another reason; see details' },
+    QUEUE_ERROR: { status: 500, description: 'The message could not be queued' },
+
+    // Media
+    INVALID_MEDIA: { status: 400, permanent: true, description: 'The media object has no usable url, base64 or file, or its url points to a private address' },
+    MEDIA_TOO_LARGE: { status: 413, permanent: true, description: 'The attachment exceeds MEDIA_MAX_MB' },
+    MEDIA_TYPE_NOT_ALLOWED: { status: 415, permanent: true, description: 'The attachment type is not allowed' },
+    MEDIA_FETCH_FAILED: { status: 422, permanent: true, description: 'The media url could not be downloaded' },
+    MEDIA_NOT_FOUND: { status: 410, permanent: true, description: 'The stored attachment of a queued message is gone' },
+    MEDIA_UNAVAILABLE: { status: 410, description: 'WhatsApp no longer has the media of this message' },
+    NO_MEDIA: { status: 404, description: 'The message has no media' },
+
+    // Messages and chats
+    MESSAGE_NOT_FOUND: { status: 404, description: 'No message or tracked send with this id' },
+    NOT_OWN_MESSAGE: { status: 403, description: 'Only messages sent from this account can be changed' },
+    EDIT_NOT_ALLOWED: { status: 422, description: 'The message can no longer be edited' },
+    REVOKE_NOT_ALLOWED: { status: 422, description: 'The message can no longer be deleted for everyone' },
+    CHAT_NOT_FOUND: { status: 404, description: 'This account has no chat with the contact' },
+    INVALID_CURSOR: { status: 400, description: 'The pagination cursor is malformed or expired' },
+    JOB_NOT_FOUND: { status: 404, description: 'No queued message with this id' },
+    DEAD_LETTER_NOT_FOUND: { status: 404, description: 'No dead-lettered message with this id' },
+
+    // Bulk jobs, templates and schedules
+    BULK_JOB_NOT_FOUND: { status: 404, description: 'No bulk job with this id' },
+    BULK_JOB_NOT_ACTIVE: { status: 409, description: 'The bulk job is finished or already in the requested state' },
+    INVALID_TEMPLATE: { status: 400, description: 'The template name, body, defaults or helpers are invalid' },
+    TEMPLATE_EXISTS: { status: 409, description: 'A template with this name already exists' },
+    TEMPLATE_NOT_FOUND: { status: 404, description: 'No template with this name' },
+    TEMPLATE_VARIABLES_MISSING: { status: 422, description: 'Placeholders have no value; see missing, or send allowMissing' },
+    INVALID_SCHEDULE: { status: 400, description: 'sendAt, repeat, timezone or catchUp is invalid' },
+    SCHEDULE_NOT_FOUND: { status: 404, description: 'No schedule with this id' },
+    SCHEDULE_NOT_ACTIVE: { status: 409, description: 'The schedule is finished and cannot be changed' },
+
+    // Groups and contacts
+    INVALID_GROUP_ID: { status: 400, description: 'The group id is not digits@g.us' },
+    INVALID_GROUP: { status: 400, description: 'The group name, subject or description is invalid' },
+    GROUP_NOT_FOUND: { status: 404, description: 'This account is not in a group with this id' },
+    NOT_GROUP_ADMIN: { status: 403, description: 'This account is not an admin of the group' },
+    UNKNOWN_ACTION: { status: 404, description: 'The participant action is not add, remove, promote or demote' },
+    GROUP_CREATE_FAILED: { status: 502, description: 'WhatsApp refused to create the group' },
+    GROUP_UPDATE_FAILED: { status: 502, description: 'WhatsApp refused the group change' },
+    GROUP_ERROR: { status: 500, description: 'A group operation failed unexpectedly' },
+    CONTACT_NOT_FOUND: { status: 404, description: 'No contact with this id' },
+    CHECK_FAILED: { status: 502, description: 'WhatsApp could not be asked about this number' },
+    CONTACT_ERROR: { status: 500, description: 'A contact operation failed unexpectedly' },
+
+    // Opt-outs, webhooks and events
+    OPT_OUT_NOT_FOUND: { status: 404, description: 'The number is not on the opt-out list' },
+    INVALID_CSV: { status: 400, description: 'The uploaded CSV cannot be read' },
+    INVALID_WEBHOOK: { status: 400, description: 'The webhook url or events are invalid' },
+    WEBHOOK_NOT_FOUND: { status: 404, description: 'No webhook with this id' },
+    DELIVERY_NOT_FOUND: { status: 404, description: 'No finished webhook delivery with this id' },
+    UNKNOWN_EVENT: { status: 400, description: 'An event type is not one of the available events' }
+};
+
+const PERMANENT_ERROR_CODES = Object.keys(ERROR_CATALOG).filter(code => ERROR_CATALOG[code].permanent);
+
+const statusFor = (errorCode) => (ERROR_CATALOG[errorCode] ? ERROR_CATALOG[errorCode].status : 500);
+
+// extra is copied onto the error and, for the fields in ENVELOPE_FIELDS, into the response
+const apiError = (errorCode, message, extra = {}) =>
+    Object.assign(new Error(message), { status: statusFor(errorCode), errorCode }, extra);
+
+// Error properties that callers need to act on, passed through to the JSON envelope
+const ENVELOPE_FIELDS = ['details', 'fields', 'missing', 'invalid', 'retryAfter', 'limit'];
+
+// Answers with { success: false, error, errorCode, ... }; the request id is
+// added by request-id.js. Errors without a code are unexpected and are logged.
+const sendError = (res, error, fallbackCode = 'INTERNAL_ERROR') => {
+    if (!error.errorCode) {
+        logger.error('Request failed', { requestId: res.req.id, method: res.req.method, path: res.req.originalUrl, error });
+    }
+    const errorCode = error.errorCode || fallbackCode;
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+    const body = { success: false, error: error.message, errorCode };
+    ENVELOPE_FIELDS.filter(field => error[field] !== undefined).forEach(field => {
+        body[field] = error[field];
+    });
+    res.status(error.status || statusFor(errorCode)).json(body);
+};
+
+const classifySendError = (error) => {
+    const details = (error && error.message) || String(error);
+
+    // Errors raised by our own modules already carry a code
+    if (error && error.errorCode) {
+        return {
+            error: details,
+            errorCode: error.errorCode,
+            details,
+            retryable: !PERMANENT_ERROR_CODES.includes(error.errorCode)
+        };
+    }
+    const text = details.toLowerCase();
+
+    let errorMessage = details;
+    let errorCode = 'SEND_ERROR';
+
+    if (details.includes('No LID') || details.includes('LID')) {
+        errorMessage = 'Cannot send message to this contact. The contact might have strict privacy settings or has blocked you.';
+        errorCode = 'NO_LID_ERROR';
+    } else if (text.includes('not registered')) {
+        errorMessage = 'This phone number is not registered on WhatsApp.';
+        errorCode = 'NOT_REGISTERED';
+    } else if (text.includes('blocked')) {
+        errorMessage = 'You have been blocked by this contact.';
+        errorCode = 'BLOCKED';
+    } else if (text.includes('timeout') || text.includes('timed out')) {
+        errorMessage = 'Message sending timed out. Please try again.';
+        errorCode = 'TIMEOUT';
+    }
+
+    return {
+        error: errorMessage,
+        errorCode,
+        details,
+        retryable: !PERMANENT_ERROR_CODES.includes(errorCode)
+    };
+};
+
+// A WhatsApp failure from an immediate (not queued) action as an API error,
+// with the same errorCode a queued send would get
+const sendFailure = (error) => {
+    if (error.errorCode) return error;
+    const classified = classifySendError(error);
+    return apiError(classified.errorCode, classified.error, { details: classified.details });
+};
+
+module.exports = {
+    ERROR_CATALOG,
+    PERMANENT_ERROR_CODES,
+    apiError,
+    classifySendError,
+    sendError,
+    sendFailure,
+    statusFor
+};
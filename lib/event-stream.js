@@ -0,0 +1,81 @@
+// Server-Sent Events hub: pushes session lifecycle, messages and bulk progress to subscribers
+const { logger } = require('./logger');
+
+const HEARTBEAT_MS = 25000;
+// A subscriber this far behind is dropped; EventSource reconnects on its own
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Scope needed to receive each event; null means any valid API key
+const EVENT_SCOPES = {
+    status: null,
+    qr: 'admin',
+    authenticated: null,
+    ready: null,
+    auth_failure: null,
+    disconnected: null,
+    loading_screen: null,
+    message: 'read-chats',
+    message_ack: 'read-chats',
+    bulk_progress: 'bulk',
+    bulk_finished: 'bulk'
+};
+
+const createEventStream = () => {
+    const subscribers = new Set();
+    let nextId = 1;
+
+    const write = (subscriber, type, data, id) => {
+        const { res } = subscriber;
+        if (res.writableLength > MAX_BUFFERED_BYTES) {
+            logger.warn('Event stream subscriber too slow, disconnecting');
+            res.end();
+            return;
+        }
+        res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // types: event names to deliver; sessionId: only that session's events (null = all)
+    const subscribe = (res, { types, sessionId = null }) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Stops proxies (nginx, Railway's edge) from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        const subscriber = { res, types: new Set(types), sessionId };
+        subscribers.add(subscriber);
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            subscribers.delete(subscriber);
+        });
+
+        return {
+            send: (type, data) => write(subscriber, type, data, nextId++)
+        };
+    };
+
+    // data must carry the sessionId it belongs to
+    const publish = (type, data) => {
+        if (subscribers.size === 0) return;
+        const id = nextId++;
+        const event = { ...data, timestamp: data.timestamp || new Date().toISOString() };
+        subscribers.forEach(subscriber => {
+            if (!subscriber.types.has(type)) return;
+            if (subscriber.sessionId && subscriber.sessionId !== data.sessionId) return;
+            write(subscriber, type, event, id);
+        });
+    };
+
+    return {
+        subscribe,
+        publish,
+        subscriberCount: () => subscribers.size
+    };
+};
+
+module.exports = { EVENT_SCOPES, createEventStream };
@@ -0,0 +1,131 @@
+// Liveness and readiness probes. Liveness fails only when this process itself
+// is in trouble, so a restart would help; readiness fails whenever a session
+// cannot send right now: starting, waiting for a QR scan, a hung page, or a
+// queue that has stopped moving. Every check reports its own latency.
+const v8 = require('v8');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { withTimeout } = require('./session-manager');
+
+// Per-check limit for calls into the browser
+const CHECK_TIMEOUT_MS = parseInt(process.env.READINESS_CHECK_TIMEOUT_MS, 10) || 5000;
+// Due messages waiting this long, with nothing sent or acknowledged meanwhile, mean the session is stuck
+const SEND_STALL_MS = parseInt(process.env.READINESS_SEND_STALL_MS, 10) || 10 * 60 * 1000;
+const MAX_EVENT_LOOP_DELAY_MS = parseInt(process.env.LIVENESS_MAX_EVENT_LOOP_DELAY_MS, 10) || 1000;
+// Close to the heap limit Node spends its time collecting garbage before it crashes
+const MAX_HEAP_RATIO = 0.95;
+
+// Why a session is not ready, by sessions.describe() status
+const NOT_READY_REASONS = {
+    authenticated: 'Authenticated; WhatsApp Web is still loading',
+    qr: 'Waiting for the QR code to be scanned',
+    starting: 'The client is starting',
+    reconnecting: 'The client failed and is waiting to reconnect',
+    stopped: 'The session is stopped'
+};
+
+const since = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+// A check resolves with details to pass, throws to fail, or returns its own
+// status ('fail' with details, or 'skip')
+const runChecks = async (checks) => {
+    const startedAt = Date.now();
+    const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+        const checkStartedAt = Date.now();
+        try {
+            const result = await check();
+            return [name, { status: 'pass', ...result, latencyMs: Date.now() - checkStartedAt }];
+        } catch (error) {
+            return [name, { status: 'fail', output: error.message, latencyMs: Date.now() - checkStartedAt }];
+        }
+    }));
+
+    return {
+        status: results.some(([, result]) => result.status === 'fail') ? 'fail' : 'pass',
+        latencyMs: Date.now() - startedAt,
+        checks: Object.fromEntries(results)
+    };
+};
+
+const createHealthChecks = ({ sessions, messageQueue }) => {
+    // Event loop delay since the previous liveness probe
+    const loopDelay = monitorEventLoopDelay({ resolution: 20 });
+    loopDelay.enable();
+
+    // Last successful send and last delivery receipt, per session
+    const activity = new Map();
+    const record = (sessionId, field) => activity.set(sessionId, { ...activity.get(sessionId), [field]: Date.now() });
+    messageQueue.on('sent', (job) => record(job.sessionId, 'lastSentAt'));
+    sessions.on('message_ack', (session) => record(session.id, 'lastAckAt'));
+
+    const liveness = () => runChecks({
+        eventLoop: async () => {
+            const delayMs = Math.round(loopDelay.percentile(99) / 1e6);
+            loopDelay.reset();
+            if (delayMs > MAX_EVENT_LOOP_DELAY_MS) {
+                throw new Error(`Event loop delayed by ${delayMs}ms (p99), over ${MAX_EVENT_LOOP_DELAY_MS}ms`);
+            }
+            return { delayMs };
+        },
+        memory: async () => {
+            const { used_heap_size: used, heap_size_limit: limit } = v8.getHeapStatistics();
+            const heapUsedMb = Math.round(used / 1024 / 1024);
+            if (used > limit * MAX_HEAP_RATIO) {
+                throw new Error(`Heap at ${heapUsedMb}MB of its ${Math.round(limit / 1024 / 1024)}MB limit`);
+            }
+            return { heapUsedMb, rssMb: Math.round(process.memoryUsage().rss / 1024 / 1024) };
+        }
+    });
+
+    // The browser checks only run against a ready client; anything else has
+    // already failed the session check
+    const whenReady = (session, check) => async () => (session.isReady && session.client
+        ? check(session.client)
+        : { status: 'skip', output: 'The client is not ready' });
+
+    const readiness = (session) => runChecks({
+        session: async () => {
+            const { status } = sessions.describe(session);
+            if (status !== 'ready') {
+                return { status: 'fail', state: status, output: NOT_READY_REASONS[status] };
+            }
+            return { state: status };
+        },
+        clientState: whenReady(session, async (client) => {
+            const state = await withTimeout(client.getState(), CHECK_TIMEOUT_MS, `getState() did not answer within ${CHECK_TIMEOUT_MS}ms`);
+            if (state !== 'CONNECTED') {
+                return { status: 'fail', state, output: `WhatsApp reports ${state}` };
+            }
+            return { state };
+        }),
+        page: whenReady(session, async (client) => {
+            const injected = await withTimeout(
+                client.pupPage.evaluate(() => typeof window.WWebJS !== 'undefined'),
+                CHECK_TIMEOUT_MS,
+                `The page did not answer within ${CHECK_TIMEOUT_MS}ms`
+            );
+            if (!injected) throw new Error('WhatsApp Web is loaded without the client scripts');
+            return {};
+        }),
+        sendActivity: async () => {
+            const { lastSentAt, lastAckAt } = activity.get(session.id) || {};
+            const now = Date.now();
+            const due = messageQueue.pending().filter(job => job.sessionId === session.id && job.nextAttemptAt <= now);
+            const details = { lastSentAt: since(lastSentAt), lastAckAt: since(lastAckAt), dueMessages: due.length };
+
+            const waitingMs = due.length > 0 ? now - Math.min(...due.map(job => job.nextAttemptAt)) : 0;
+            const quietMs = now - Math.max(lastSentAt || 0, lastAckAt || 0);
+            if (waitingMs > SEND_STALL_MS && quietMs > SEND_STALL_MS) {
+                return {
+                    status: 'fail',
+                    output: `${due.length} due message(s) waiting ${Math.round(waitingMs / 1000)}s with nothing sent or acknowledged`,
+                    ...details
+                };
+            }
+            return details;
+        }
+    });
+
+    return { liveness, readiness };
+};
+
+module.exports = { createHealthChecks };
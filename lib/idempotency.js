@@ -0,0 +1,119 @@
+// Idempotency keys: remember the result of a request so a retry does not send twice
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+
+const WINDOW_MS = (parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+const PERSIST_DELAY_MS = 1000;
+
+const fingerprint = (value) =>
+    crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+// Records go in_progress -> completed. A request that fails is released so
+// the caller can retry it with the same key.
+const createIdempotencyStore = () => {
+    const store = createJsonStore('idempotency', { keys: {} });
+    const state = store.load();
+    let persistTimer = null;
+
+    const save = () => {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+        store.save(state);
+    };
+
+    // Per-contact bulk keys arrive in batches, so those writes are debounced
+    const schedulePersist = () => {
+        if (persistTimer) return;
+        persistTimer = setTimeout(save, PERSIST_DELAY_MS);
+        persistTimer.unref();
+    };
+
+    const flush = () => {
+        if (persistTimer) save();
+    };
+
+    const pruneExpired = () => {
+        const now = Date.now();
+        Object.keys(state.keys).forEach(key => {
+            if (state.keys[key].expiresAt <= now) delete state.keys[key];
+        });
+    };
+
+    const find = (key) => {
+        const record = state.keys[key];
+        if (!record) return null;
+        if (record.expiresAt <= Date.now()) {
+            delete state.keys[key];
+            return null;
+        }
+        return record;
+    };
+
+    // Returns { state: 'new' } after reserving the key, or the existing record's
+    // state: 'in_progress', 'mismatch' (same key, different request) or 'completed'
+    const begin = (key, requestFingerprint) => {
+        const existing = find(key);
+        if (existing) {
+            if (existing.fingerprint !== requestFingerprint) return { state: 'mismatch', record: existing };
+            return { state: existing.status, record: existing };
+        }
+
+        pruneExpired();
+        const now = Date.now();
+        state.keys[key] = {
+            fingerprint: requestFingerprint,
+            status: 'in_progress',
+            createdAt: new Date(now).toISOString(),
+            expiresAt: now + WINDOW_MS
+        };
+        save();
+        return { state: 'new' };
+    };
+
+    const complete = (key, result) => {
+        const record = state.keys[key];
+        if (!record) return;
+        Object.assign(record, result, { status: 'completed', completedAt: new Date().toISOString() });
+        save();
+    };
+
+    const release = (key) => {
+        if (!state.keys[key]) return;
+        delete state.keys[key];
+        save();
+    };
+
+    // Per-contact keys inside bulk payloads: no request to replay, only a reference
+    const claim = (key, ref) => {
+        const existing = find(key);
+        if (existing) return existing;
+        const now = Date.now();
+        state.keys[key] = {
+            status: 'completed',
+            ref,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: now + WINDOW_MS
+        };
+        schedulePersist();
+        return null;
+    };
+
+    // Requests left in_progress by a crash can be retried
+    Object.keys(state.keys).forEach(key => {
+        if (state.keys[key].status === 'in_progress') delete state.keys[key];
+    });
+    pruneExpired();
+    store.save(state);
+
+    return {
+        find,
+        begin,
+        complete,
+        release,
+        claim,
+        flush
+    };
+};
+
+module.exports = { MAX_KEY_LENGTH, WINDOW_MS, createIdempotencyStore, fingerprint };
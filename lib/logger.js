@@ -0,0 +1,69 @@
+// Structured logs: one JSON object per line, e.g.
+// {"time":"...","level":"info","msg":"Message received","session":"default","from":"91******3210@c.us"}
+// LOG_LEVEL (debug, info, warn, error) sets the threshold. Phone numbers in
+// messages and fields are masked unless LOG_PHONE_NUMBERS=true.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const THRESHOLD = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const MASK_PHONES = process.env.LOG_PHONE_NUMBERS !== 'true';
+
+// 8-15 digits standing alone or in a chat id (919876543210@c.us). Digits
+// inside UUIDs, message ids and 18-digit group ids are left alone.
+const PHONE_PATTERN = /(?<![A-Za-z0-9-])(\+?)(\d{8,15})(?![A-Za-z0-9])/g;
+
+// Successful scrapes and probes would drown everything else; failures are
+// still logged as usual
+const QUIET_PATH = /^(\/metrics|(\/sessions\/[^/]+)?\/health(\/live|\/ready)?)$/;
+
+const maskPhones = (text) => text.replace(PHONE_PATTERN, (match, plus, digits) =>
+    `${plus}${digits.slice(0, 2)}${'*'.repeat(digits.length - 6)}${digits.slice(-4)}`);
+
+const sanitize = (value) => {
+    if (typeof value === 'string') return MASK_PHONES ? maskPhones(value) : value;
+    if (value instanceof Error) {
+        return sanitize({ message: value.message, errorCode: value.errorCode, stack: value.stack });
+    }
+    if (Array.isArray(value)) return value.map(sanitize);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, sanitize(field)]));
+    }
+    return value;
+};
+
+// context is added to every line, e.g. { requestId } for a request's logger
+const createLogger = (context = {}) => {
+    const write = (level, msg, fields = {}) => {
+        if (LEVELS[level] < THRESHOLD) return;
+        const line = JSON.stringify(sanitize({ time: new Date().toISOString(), level, msg, ...context, ...fields }));
+        (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+    };
+
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        child: (fields) => createLogger({ ...context, ...fields })
+    };
+};
+
+const logger = createLogger();
+
+// Gives each request req.log, tagged with its request id (request-id.js runs
+// first), and logs one line per request once the response is sent
+const logRequests = (req, res, next) => {
+    const startedAt = Date.now();
+    req.log = logger.child({ requestId: req.id });
+    res.on('finish', () => {
+        const quiet = res.statusCode < 400 && QUIET_PATH.test(req.path);
+        const level = quiet ? 'debug' : res.statusCode >= 500 ? 'warn' : 'info';
+        req.log[level]('Request completed', {
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt
+        });
+    });
+    next();
+};
+
+module.exports = { createLogger, logRequests, logger, maskPhones };
@@ -0,0 +1,243 @@
+// Media attachments: validate, keep on disk until sent, load as MessageMedia
+const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { Agent, fetch } = require('undici');
+const { MessageMedia } = require('whatsapp-web.js');
+const { DATA_DIR } = require('./store');
+const { apiError, sendError } = require('./errors');
+
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+const MAX_MEDIA_BYTES = (parseFloat(process.env.MEDIA_MAX_MB) || 16) * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+// Media urls come from API callers, so by default they may not reach this
+// host, cloud metadata endpoints or the private network
+const ALLOW_PRIVATE_URLS = process.env.MEDIA_ALLOW_PRIVATE_URLS === 'true';
+
+// Loopback, link-local, private, carrier-grade NAT, multicast, reserved and
+// NAT64 ranges. IPv4 rules also match IPv4-mapped IPv6 addresses
+// (::ffff:127.0.0.1); NAT64 ones (64:ff9b::7f00:1) need their own.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const EXTENSION_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.csv': 'text/csv',
+    '.txt': 'text/plain',
+    '.mp4': 'video/mp4',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg'
+};
+
+const ALLOWED_MIME_TYPES = process.env.MEDIA_ALLOWED_TYPES
+    ? process.env.MEDIA_ALLOWED_TYPES.split(',').map(type => type.trim())
+    : Object.values(EXTENSION_TYPES).filter((type, i, all) => all.indexOf(type) === i);
+
+// Base64 inflates by 4/3, so the JSON body limit has to leave room for the largest attachment
+const JSON_BODY_LIMIT = `${Math.ceil(MAX_MEDIA_BYTES * 4 / 3 / 1024 / 1024) + 1}mb`;
+
+const mediaError = (message, errorCode) => apiError(errorCode, message);
+
+const normalizeMimeType = (mimetype, filename) => {
+    const declared = (mimetype || '').split(';')[0].trim().toLowerCase();
+    if (declared && declared !== 'application/octet-stream') return declared;
+    return EXTENSION_TYPES[path.extname(filename || '').toLowerCase()] || declared;
+};
+
+const filenameFromUrl = (url) => {
+    const base = path.basename(new URL(url).pathname);
+    return base && base !== '/' ? decodeURIComponent(base) : null;
+};
+
+const privateAddressError = () => mediaError('media.url points to a private or local address', 'INVALID_MEDIA');
+
+const isPrivate = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Checks the addresses a host name resolves to as the connection is made, so
+// the address that was checked is the one connected to (no DNS rebinding)
+const checkedLookup = (hostname, options, callback) => dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isPrivate(entry.address))) return callback(privateAddressError());
+    callback(null, address, family);
+});
+
+const mediaAgent = ALLOW_PRIVATE_URLS ? new Agent() : new Agent({ connect: { lookup: checkedLookup } });
+
+// Refuses urls that are not http(s). IP literals never reach the lookup, so
+// they are checked against PRIVATE_ADDRESSES here.
+const assertFetchable = (url) => {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        throw mediaError('media.url must be an http or https URL', 'INVALID_MEDIA');
+    }
+    const literal = hostname.replace(/^\[(.*)\]$/, '$1');
+    if (!ALLOW_PRIVATE_URLS && net.isIP(literal) && isPrivate(literal)) {
+        throw privateAddressError();
+    }
+};
+
+// Redirects are followed by hand so every hop is checked before it is fetched
+const fetchMedia = async (url) => {
+    const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+    let target = url;
+    for (let redirects = 0; ; redirects++) {
+        assertFetchable(target);
+        let response;
+        try {
+            response = await fetch(target, { redirect: 'manual', signal, dispatcher: mediaAgent });
+        } catch (error) {
+            if (error.cause && error.cause.errorCode) throw error.cause;
+            const reason = error.cause && error.cause.code === 'ENOTFOUND' ? `${new URL(target).hostname} cannot be resolved` : error.message;
+            throw mediaError(`Could not download media: ${reason}`, 'MEDIA_FETCH_FAILED');
+        }
+
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) return response;
+        if (response.body) response.body.cancel().catch(() => {});
+        if (redirects === MAX_REDIRECTS) {
+            throw mediaError(`Could not download media: more than ${MAX_REDIRECTS} redirects`, 'MEDIA_FETCH_FAILED');
+        }
+        target = new URL(location, target).href;
+    }
+};
+
+// Reads the response body without ever holding more than the size limit
+const download = async (url) => {
+    const response = await fetchMedia(url);
+    if (!response.ok) {
+        throw mediaError(`Could not download media: HTTP ${response.status}`, 'MEDIA_FETCH_FAILED');
+    }
+
+    const declaredSize = parseInt(response.headers.get('content-length'), 10);
+    if (declaredSize > MAX_MEDIA_BYTES) {
+        throw mediaError(`Media exceeds the ${MAX_MEDIA_BYTES / 1024 / 1024} MB limit`, 'MEDIA_TOO_LARGE');
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > MAX_MEDIA_BYTES) {
+            throw mediaError(`Media exceeds the ${MAX_MEDIA_BYTES / 1024 / 1024} MB limit`, 'MEDIA_TOO_LARGE');
+        }
+        chunks.push(chunk);
+    }
+
+    return { buffer: Buffer.concat(chunks), mimetype: response.headers.get('content-type') };
+};
+
+const decodeBase64 = (data) => {
+    // Accept data URLs as well as bare base64
+    const match = /^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s.exec(data);
+    const payload = match ? match[2] : data;
+    if (!/^[A-Za-z0-9+/=\s]+$/.test(payload)) {
+        throw mediaError('media.base64 is not valid base64 data', 'INVALID_MEDIA');
+    }
+    return { buffer: Buffer.from(payload, 'base64'), mimetype: match ? match[1] : null };
+};
+
+// Accepts { url } or { base64 } from JSON bodies, or a multer file from uploads.
+// Resolves to a descriptor that is safe to persist in queue/bulk job state.
+const prepareMedia = async ({ url, base64, mimetype, filename, asDocument } = {}, file = null) => {
+    let source;
+    if (file) {
+        source = { buffer: file.buffer, mimetype: file.mimetype };
+        filename = filename || file.originalname;
+    } else if (url) {
+        try {
+            filename = filename || filenameFromUrl(url);
+        } catch (e) {
+            throw mediaError('media.url is not a valid URL', 'INVALID_MEDIA');
+        }
+        source = await download(url);
+    } else if (base64) {
+        source = decodeBase64(base64);
+    } else {
+        throw mediaError('Media needs a url, base64 data or an uploaded file', 'INVALID_MEDIA');
+    }
+
+    if (source.buffer.length === 0) {
+        throw mediaError('Media is empty', 'INVALID_MEDIA');
+    }
+    if (source.buffer.length > MAX_MEDIA_BYTES) {
+        throw mediaError(`Media exceeds the ${MAX_MEDIA_BYTES / 1024 / 1024} MB limit`, 'MEDIA_TOO_LARGE');
+    }
+
+    const type = normalizeMimeType(mimetype || source.mimetype, filename);
+    if (!ALLOWED_MIME_TYPES.includes(type)) {
+        throw mediaError(`Media type "${type || 'unknown'}" is not allowed. Allowed: ${ALLOWED_MIME_TYPES.join(', ')}`, 'MEDIA_TYPE_NOT_ALLOWED');
+    }
+
+    const id = crypto.randomUUID();
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    fs.writeFileSync(path.join(MEDIA_DIR, id), source.buffer);
+
+    return {
+        id,
+        mimetype: type,
+        filename: filename || null,
+        size: source.buffer.length,
+        asDocument: !!asDocument
+    };
+};
+
+const loadMedia = (descriptor) => {
+    let data;
+    try {
+        data = fs.readFileSync(path.join(MEDIA_DIR, descriptor.id));
+    } catch (error) {
+        throw mediaError('Stored media file is missing', 'MEDIA_NOT_FOUND');
+    }
+    return new MessageMedia(descriptor.mimetype, data.toString('base64'), descriptor.filename, descriptor.size);
+};
+
+// multipart/form-data uploads in a "file" field; other content types pass straight through
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_MEDIA_BYTES, files: 1 }
+}).single('file');
+
+const acceptUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        sendError(res, error.code === 'LIMIT_FILE_SIZE'
+            ? mediaError(`Media exceeds the ${MAX_MEDIA_BYTES / 1024 / 1024} MB limit`, 'MEDIA_TOO_LARGE')
+            : mediaError(error.message, 'INVALID_MEDIA'));
+    });
+};
+
+const removeMedia = (descriptor) => {
+    if (!descriptor) return;
+    fs.rm(path.join(MEDIA_DIR, descriptor.id), { force: true }, () => {});
+};
+
+module.exports = {
+    ALLOWED_MIME_TYPES,
+    MAX_MEDIA_BYTES,
+    JSON_BODY_LIMIT,
+    acceptUpload,
+    prepareMedia,
+    loadMedia,
+    removeMedia
+};
@@ -0,0 +1,265 @@
+// Durable outbound message queue with retry/backoff and a dead-letter list
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createJsonStore } = require('./store');
+const { classifySendError } = require('./errors');
+const { logger } = require('./logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.QUEUE_RETRY_BASE_MS, 10) || 5000;
+const RETRY_MAX_MS = parseInt(process.env.QUEUE_RETRY_MAX_MS, 10) || 5 * 60 * 1000;
+const HISTORY_LIMIT = 500;
+
+// processor(job) performs the actual send and resolves with { messageId, serializedId }.
+// Jobs move pending -> sending -> sent, or into deadLetters once they fail
+// permanently or run out of attempts. Each job belongs to a session and is
+// only picked up while that session has been started on the queue. Sessions
+// are drained independently, so a slow or hung one only holds up its own jobs.
+const createMessageQueue = ({ processor, name = 'message-queue' }) => {
+    const events = new EventEmitter();
+    const store = createJsonStore(name, { jobs: [], history: [], deadLetters: [] });
+    const state = store.load();
+
+    const activeSessions = new Set();
+    // Sessions whose jobs are being sent right now
+    const draining = new Set();
+    let timer = null;
+
+    // A job left in "sending" means we crashed mid-send; retry it rather than lose it
+    state.jobs.forEach(job => {
+        if (job.status === 'sending') {
+            job.status = 'pending';
+        }
+        job.sessionId = job.sessionId || 'default';
+    });
+
+    const persist = () => store.save(state);
+
+    const backoff = (attempts) => Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+
+    const findJob = (id) =>
+        state.jobs.find(job => job.id === id) ||
+        state.history.find(job => job.id === id) ||
+        state.deadLetters.find(job => job.id === id) ||
+        null;
+
+    const isRunnable = (job) => job.status === 'pending' && activeSessions.has(job.sessionId);
+
+    const nextDueJob = (sessionId) => {
+        const now = Date.now();
+        return state.jobs.find(job => job.sessionId === sessionId && isRunnable(job) && job.nextAttemptAt <= now) || null;
+    };
+
+    const scheduleNext = () => {
+        clearTimeout(timer);
+        timer = null;
+
+        const pending = state.jobs.filter(job => isRunnable(job) && !draining.has(job.sessionId));
+        if (pending.length === 0) return;
+
+        const soonest = Math.min(...pending.map(job => job.nextAttemptAt));
+        timer = setTimeout(drain, Math.max(soonest - Date.now(), 0));
+    };
+
+    const complete = (job, result) => {
+        job.status = 'sent';
+        job.messageId = result && result.messageId;
+        job.serializedId = (result && result.serializedId) || null;
+        job.sentAt = new Date().toISOString();
+        job.updatedAt = job.sentAt;
+        state.jobs = state.jobs.filter(j => j.id !== job.id);
+        state.history.push(job);
+        if (state.history.length > HISTORY_LIMIT) {
+            state.history.splice(0, state.history.length - HISTORY_LIMIT);
+        }
+        persist();
+        logger.info('Queue job sent', { session: job.sessionId, jobId: job.id, phone: job.phone });
+        events.emit('sent', job);
+    };
+
+    const fail = (job, error) => {
+        const classified = classifySendError(error);
+        job.lastError = classified.details;
+        job.errorCode = classified.errorCode;
+        job.updatedAt = new Date().toISOString();
+
+        if (classified.retryable && job.attempts < job.maxAttempts) {
+            const delay = backoff(job.attempts);
+            job.status = 'pending';
+            job.nextAttemptAt = Date.now() + delay;
+            persist();
+            logger.warn('Queue job will be retried', {
+                session: job.sessionId,
+                jobId: job.id,
+                errorCode: job.errorCode,
+                attempt: job.attempts,
+                maxAttempts: job.maxAttempts,
+                delaySeconds: Math.round(delay / 1000)
+            });
+            events.emit('retry', job);
+            return;
+        }
+
+        job.status = 'dead';
+        job.deadAt = job.updatedAt;
+        state.jobs = state.jobs.filter(j => j.id !== job.id);
+        state.deadLetters.push(job);
+        persist();
+        logger.error('Queue job moved to the dead-letter list', { session: job.sessionId, jobId: job.id, phone: job.phone, errorCode: job.errorCode });
+        events.emit('dead', job);
+    };
+
+    const drainSession = async (sessionId) => {
+        draining.add(sessionId);
+        try {
+            let job;
+            while ((job = nextDueJob(sessionId))) {
+                job.status = 'sending';
+                job.attempts++;
+                job.updatedAt = new Date().toISOString();
+                persist();
+
+                try {
+                    const result = await processor(job);
+                    complete(job, result);
+                } catch (error) {
+                    logger.warn('Queue job failed', { session: job.sessionId, jobId: job.id, error: error.message });
+                    fail(job, error);
+                }
+            }
+        } finally {
+            draining.delete(sessionId);
+            scheduleNext();
+        }
+    };
+
+    const drain = () => {
+        timer = null;
+        const now = Date.now();
+        const due = new Set(state.jobs
+            .filter(job => isRunnable(job) && job.nextAttemptAt <= now && !draining.has(job.sessionId))
+            .map(job => job.sessionId));
+        due.forEach(drainSession);
+        scheduleNext();
+    };
+
+    // legacyChatCreation lets the processor fall back to a visible filler message
+    // when a chat cannot be opened silently
+    const enqueue = ({ sessionId = 'default', phone, message, media = null, batchId = null, legacyChatCreation = false, quotedMessageId = null }) => {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            sessionId,
+            phone,
+            message,
+            media,
+            batchId,
+            legacyChatCreation,
+            quotedMessageId,
+            status: 'pending',
+            attempts: 0,
+            maxAttempts: MAX_ATTEMPTS,
+            nextAttemptAt: Date.now(),
+            messageId: null,
+            errorCode: null,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        state.jobs.push(job);
+        persist();
+        scheduleNext();
+        return job;
+    };
+
+    const replay = (id) => {
+        const job = state.deadLetters.find(j => j.id === id);
+        if (!job) return null;
+
+        state.deadLetters = state.deadLetters.filter(j => j.id !== id);
+        Object.assign(job, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            replayedAt: new Date().toISOString()
+        });
+        delete job.deadAt;
+        job.updatedAt = job.replayedAt;
+        state.jobs.push(job);
+        persist();
+        scheduleNext();
+        return job;
+    };
+
+    const removeDeadLetter = (id) => {
+        const job = state.deadLetters.find(j => j.id === id);
+        if (!job) return false;
+        state.deadLetters = state.deadLetters.filter(j => j.id !== id);
+        persist();
+        events.emit('removed', job);
+        return true;
+    };
+
+    // A deleted session can never send; dead-letter its jobs so they can be inspected
+    const discardSession = (sessionId) => {
+        const now = new Date().toISOString();
+        const orphaned = state.jobs.filter(job => job.sessionId === sessionId);
+        if (orphaned.length === 0) return 0;
+
+        orphaned.forEach(job => Object.assign(job, {
+            status: 'dead',
+            errorCode: 'SESSION_DELETED',
+            lastError: `Session "${sessionId}" was deleted`,
+            deadAt: now,
+            updatedAt: now
+        }));
+        state.jobs = state.jobs.filter(job => job.sessionId !== sessionId);
+        state.deadLetters.push(...orphaned);
+        persist();
+        orphaned.forEach(job => events.emit('dead', job));
+        return orphaned.length;
+    };
+
+    // Called when a session's client becomes ready / goes away
+    const start = (sessionId) => {
+        if (activeSessions.has(sessionId)) return;
+        activeSessions.add(sessionId);
+        const waiting = state.jobs.filter(job => job.sessionId === sessionId).length;
+        logger.info('Message queue worker started', { session: sessionId, pending: waiting });
+        scheduleNext();
+    };
+
+    const stop = (sessionId) => {
+        if (!activeSessions.delete(sessionId)) return;
+        logger.info('Message queue worker paused', { session: sessionId });
+        scheduleNext();
+    };
+
+    const stats = (sessionId) => {
+        const jobs = sessionId ? state.jobs.filter(job => job.sessionId === sessionId) : state.jobs;
+        return {
+            running: sessionId ? activeSessions.has(sessionId) : activeSessions.size > 0,
+            pending: jobs.filter(job => job.status === 'pending').length,
+            sending: jobs.filter(job => job.status === 'sending').length,
+            sent: state.history.length,
+            deadLetters: state.deadLetters.length
+        };
+    };
+
+    return {
+        enqueue,
+        get: findJob,
+        pending: () => state.jobs.slice(),
+        deadLetters: () => state.deadLetters.slice(),
+        replay,
+        removeDeadLetter,
+        discardSession,
+        start,
+        stop,
+        stats,
+        on: events.on.bind(events),
+        off: events.off.bind(events)
+    };
+};
+
+module.exports = { createMessageQueue };
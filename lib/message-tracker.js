@@ -0,0 +1,110 @@
+// Tracks delivery/read status of outbound messages from message_ack events
+const { createJsonStore } = require('./store');
+
+// whatsapp-web.js MessageAck values
+const ACK_STATUSES = {
+    '-1': 'error',
+    0: 'pending',
+    1: 'server',
+    2: 'device',
+    3: 'read',
+    4: 'played'
+};
+
+const TRACKING_LIMIT = parseInt(process.env.MESSAGE_TRACKING_LIMIT, 10) || 5000;
+const PERSIST_DELAY_MS = 1000;
+
+const createMessageTracker = () => {
+    const store = createJsonStore('messages', { messages: {} });
+    const state = store.load();
+    let persistTimer = null;
+
+    // Acks arrive in bursts during bulk jobs, so writes are batched
+    const schedulePersist = () => {
+        if (persistTimer) return;
+        persistTimer = setTimeout(() => {
+            persistTimer = null;
+            store.save(state);
+        }, PERSIST_DELAY_MS);
+        persistTimer.unref();
+    };
+
+    const flush = () => {
+        if (!persistTimer) return;
+        clearTimeout(persistTimer);
+        persistTimer = null;
+        store.save(state);
+    };
+
+    const evictOldest = () => {
+        const ids = Object.keys(state.messages);
+        ids.slice(0, Math.max(ids.length - TRACKING_LIMIT, 0))
+            .forEach(id => delete state.messages[id]);
+    };
+
+    const upsert = (messageId, fields) => {
+        const now = new Date().toISOString();
+        const record = state.messages[messageId] || {
+            messageId,
+            status: 'pending',
+            ack: 0,
+            history: [],
+            createdAt: now
+        };
+        Object.assign(record, fields, { updatedAt: now });
+        state.messages[messageId] = record;
+        evictOldest();
+        schedulePersist();
+        return record;
+    };
+
+    // Called when the queue reports a successful send
+    const recordSent = (job) => {
+        if (!job.messageId) return null;
+        return upsert(job.messageId, {
+            queueId: job.id,
+            sessionId: job.sessionId,
+            batchId: job.batchId || null,
+            // An ack that arrived first has already filled it in
+            ...(job.serializedId ? { serializedId: job.serializedId } : {}),
+            phone: job.phone,
+            sentAt: job.sentAt
+        });
+    };
+
+    // Acks only move forward; an ack can also beat recordSent, in which
+    // case the record is created here and filled in when the send resolves
+    const recordAck = (msg, ack) => {
+        if (!msg.fromMe) return null;
+        const messageId = msg.id.id;
+        const existing = state.messages[messageId];
+        if (existing && ack !== -1 && ack <= existing.ack) return existing;
+
+        const status = ACK_STATUSES[ack] || 'unknown';
+        const at = new Date().toISOString();
+        const record = upsert(messageId, {
+            serializedId: msg.id._serialized,
+            phone: (existing && existing.phone) || msg.to,
+            ack,
+            status,
+            [`${status}At`]: at
+        });
+        record.history.push({ ack, status, at });
+        return record;
+    };
+
+    const findByQueueId = (queueId) =>
+        Object.values(state.messages).find(record => record.queueId === queueId) || null;
+
+    const get = (id) => state.messages[id] || findByQueueId(id);
+
+    return {
+        recordSent,
+        recordAck,
+        get,
+        getMany: (ids) => ids.map(id => get(id) || { messageId: id, status: 'unknown' }),
+        flush
+    };
+};
+
+module.exports = { ACK_STATUSES, createMessageTracker };
@@ -0,0 +1,207 @@
+// Prometheus metrics for /metrics, in the text exposition format. Counters and
+// histograms are updated from queue events as sends happen; queue depth, bulk
+// jobs, client state and browser memory are read when scraped.
+const fs = require('fs');
+const { logger } = require('./logger');
+const { withTimeout } = require('./session-manager');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds for one WhatsApp send, and from enqueueing to sent (pacing and retries included)
+const SEND_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const DELIVERY_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 900, 3600];
+// Every status sessions.describe() reports
+const CLIENT_STATES = ['ready', 'authenticated', 'qr', 'starting', 'reconnecting', 'stopped'];
+const BULK_STATUSES = ['running', 'paused', 'completed', 'cancelled'];
+// A hung browser must not hang the scrape
+const BROWSER_TIMEOUT_MS = 2000;
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const header = (name, type, help) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+const createRegistry = () => {
+    const families = [];
+
+    const counter = (name, help) => {
+        const values = new Map();
+        families.push(() => [...header(name, 'counter', help), ...Array.from(values, ([labels, value]) => `${name}${labels} ${value}`)]);
+        return {
+            inc: (labels = {}) => {
+                const key = formatLabels(labels);
+                values.set(key, (values.get(key) || 0) + 1);
+            }
+        };
+    };
+
+    const histogram = (name, help, buckets) => {
+        const series = new Map();
+        families.push(() => [
+            ...header(name, 'histogram', help),
+            ...Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+                `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${name}_sum${formatLabels(labels)} ${sum}`,
+                `${name}_count${formatLabels(labels)} ${count}`
+            ])
+        ]);
+        return {
+            observe: (labels, value) => {
+                const key = formatLabels(labels);
+                if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                const entry = series.get(key);
+                buckets.forEach((le, i) => {
+                    if (value <= le) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            }
+        };
+    };
+
+    // Read at scrape time: collect() returns [{ labels, value }], or a promise of them
+    const collected = (name, type, help, collect) => {
+        families.push(async () => {
+            const samples = await collect();
+            return [...header(name, type, help), ...samples.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)];
+        });
+    };
+
+    const render = async () => {
+        const blocks = await Promise.all(families.map(family => family()));
+        return `${blocks.map(lines => lines.join('\n')).join('\n')}\n`;
+    };
+
+    return { counter, histogram, collected, render };
+};
+
+// The browser's resident memory from /proc; null where that is not available
+const readRssBytes = async (pid) => {
+    try {
+        const status = await fs.promises.readFile(`/proc/${pid}/status`, 'utf8');
+        const match = status.match(/VmRSS:\s+(\d+) kB/);
+        return match ? Number(match[1]) * 1024 : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Heap and resident memory of one session's browser; sessions without a
+// running browser, or whose page does not answer in time, are left out
+const readBrowserMemory = async (session) => {
+    const { client } = session;
+    if (!client || !client.pupPage || !client.pupBrowser) return null;
+    try {
+        const page = await withTimeout(client.pupPage.metrics(), BROWSER_TIMEOUT_MS, `No answer within ${BROWSER_TIMEOUT_MS}ms`);
+        const browserProcess = client.pupBrowser.process();
+        return {
+            heapUsed: page.JSHeapUsedSize,
+            heapTotal: page.JSHeapTotalSize,
+            rss: browserProcess ? await readRssBytes(browserProcess.pid) : null
+        };
+    } catch (error) {
+        logger.warn('Could not read browser memory', { session: session.id, error: error.message });
+        return null;
+    }
+};
+
+// Number of items per session, with a zero for every live session
+const countBySession = (items, sessionIds) => {
+    const counts = new Map(sessionIds.map(id => [id, 0]));
+    items.forEach(item => counts.set(item.sessionId, (counts.get(item.sessionId) || 0) + 1));
+    return Array.from(counts, ([session, value]) => ({ labels: { session }, value }));
+};
+
+const createMetrics = ({ sessions, messageQueue, bulkJobs }) => {
+    const registry = createRegistry();
+    const sessionIds = () => sessions.list().map(session => session.id);
+
+    const sent = registry.counter('whatsapp_messages_sent_total', 'Messages sent by the queue');
+    const failed = registry.counter('whatsapp_messages_failed_total', 'Messages that failed for good (dead-lettered), by error code');
+    const retried = registry.counter('whatsapp_send_retries_total', 'Send attempts that failed and will be retried, by error code');
+    const sendDuration = registry.histogram('whatsapp_send_duration_seconds', 'Time for one send attempt, by outcome', SEND_BUCKETS);
+    const deliveryTime = registry.histogram('whatsapp_message_delivery_seconds', 'Time from queueing a message to sending it', DELIVERY_BUCKETS);
+
+    messageQueue.on('sent', (job) => {
+        sent.inc({ session: job.sessionId });
+        deliveryTime.observe({ session: job.sessionId }, (new Date(job.sentAt) - new Date(job.createdAt)) / 1000);
+    });
+    messageQueue.on('retry', (job) => retried.inc({ session: job.sessionId, error_code: job.errorCode }));
+    messageQueue.on('dead', (job) => failed.inc({ session: job.sessionId, error_code: job.errorCode }));
+
+    registry.collected('whatsapp_queue_jobs', 'gauge', 'Messages waiting in the queue, by status', () =>
+        ['pending', 'sending'].flatMap(status =>
+            countBySession(messageQueue.pending().filter(job => job.status === status), sessionIds())
+                .map(({ labels, value }) => ({ labels: { ...labels, status }, value }))));
+    registry.collected('whatsapp_queue_dead_letters', 'gauge', 'Messages on the dead-letter list', () =>
+        countBySession(messageQueue.deadLetters(), sessionIds()));
+
+    registry.collected('whatsapp_bulk_jobs', 'gauge', 'Bulk jobs by status', () => {
+        const jobs = bulkJobs.list();
+        return BULK_STATUSES.map(status => ({ labels: { status }, value: jobs.filter(job => job.status === status).length }));
+    });
+    registry.collected('whatsapp_bulk_recipients_pending', 'gauge', 'Recipients of running or paused bulk jobs still to be sent', () => {
+        const pending = new Map(sessionIds().map(id => [id, 0]));
+        bulkJobs.list()
+            .filter(job => job.status === 'running' || job.status === 'paused')
+            .forEach(job => pending.set(job.sessionId, (pending.get(job.sessionId) || 0) + job.summary.pending));
+        return Array.from(pending, ([session, value]) => ({ labels: { session }, value }));
+    });
+
+    registry.collected('whatsapp_reconnects_total', 'counter', 'Times a failed client was replaced since the server started', () =>
+        sessions.list().map(session => ({ labels: { session: session.id }, value: session.recovery.count })));
+    registry.collected('whatsapp_client_state', 'gauge', 'Client state; 1 for the current one', () =>
+        sessions.list().map(sessions.describe).flatMap(({ id, status }) =>
+            CLIENT_STATES.map(state => ({ labels: { session: id, state }, value: state === status ? 1 : 0 }))));
+
+    // A scrape collects every family at once, so both browser gauges share one reading
+    let browserReading = null;
+    const browserMemory = () => {
+        if (!browserReading) {
+            browserReading = Promise.all(sessions.list().map(async session => ({ session: session.id, memory: await readBrowserMemory(session) })))
+                .then(readings => readings.filter(reading => reading.memory))
+                .finally(() => {
+                    browserReading = null;
+                });
+        }
+        return browserReading;
+    };
+    registry.collected('whatsapp_browser_js_heap_bytes', 'gauge', 'JavaScript heap of the WhatsApp Web page', async () =>
+        (await browserMemory()).flatMap(({ session, memory }) => [
+            { labels: { session, type: 'used' }, value: memory.heapUsed },
+            { labels: { session, type: 'total' }, value: memory.heapTotal }
+        ]));
+    registry.collected('whatsapp_browser_resident_memory_bytes', 'gauge', 'Resident memory of the browser process (Linux only)', async () =>
+        (await browserMemory())
+            .filter(({ memory }) => memory.rss !== null)
+            .map(({ session, memory }) => ({ labels: { session }, value: memory.rss })));
+
+    registry.collected('process_resident_memory_bytes', 'gauge', 'Resident memory of this Node.js process', () =>
+        [{ value: process.memoryUsage().rss }]);
+    registry.collected('nodejs_heap_used_bytes', 'gauge', 'Node.js heap in use', () =>
+        [{ value: process.memoryUsage().heapUsed }]);
+    registry.collected('process_uptime_seconds', 'gauge', 'Seconds since this process started', () =>
+        [{ value: Math.round(process.uptime()) }]);
+
+    // Wraps the queue processor so every send attempt is timed
+    const timeSend = async (job, send) => {
+        const startedAt = Date.now();
+        const observe = (outcome) => sendDuration.observe({ session: job.sessionId, outcome }, (Date.now() - startedAt) / 1000);
+        try {
+            const result = await send();
+            observe('sent');
+            return result;
+        } catch (error) {
+            observe('failed');
+            throw error;
+        }
+    };
+
+    return { render: registry.render, timeSend };
+};
+
+module.exports = { CONTENT_TYPE, createMetrics };
@@ -0,0 +1,247 @@
+// OpenAPI 3.1 document built from the mounted routes. Each route declares its
+// summary and request schemas with describeRoute(), the same middleware that
+// validates requests against them, so the spec, /endpoints and the checks
+// cannot drift apart.
+const { ERROR_CATALOG, apiError, sendError } = require('./errors');
+const { logger } = require('./logger');
+const { validateSchema } = require('./validation');
+const { version } = require('../package.json');
+
+// Document tags, in the order /endpoints lists them
+const TAGS = [
+    { name: 'Messaging', heading: '📱 Sending', description: 'Single, scheduled and bulk sends through the queue' },
+    { name: 'Queue', heading: '📬 Queue', description: 'Queued messages and the dead-letter list' },
+    { name: 'Messages', heading: '💬 Messages', description: 'Delivery receipts and actions on sent or received messages' },
+    { name: 'Chats', heading: '🗂️ Chats', description: 'Chat list, history and media downloads' },
+    { name: 'Groups', heading: '👥 Groups', description: 'Group management and invite links' },
+    { name: 'Contacts', heading: '📇 Contacts', description: 'Contact directory, number checks and blocking' },
+    { name: 'Schedules', heading: '🗓️ Scheduled Messages', description: 'One-off and recurring sends' },
+    { name: 'Templates', heading: '📝 Message Templates', description: 'Templates with {{placeholders}} and previews' },
+    { name: 'Opt-outs', heading: '🚫 Opt-Outs', description: 'The do-not-contact list' },
+    { name: 'Webhooks', heading: '🪝 Webhooks', description: 'Webhook registration and the delivery log' },
+    { name: 'Events', heading: '📡 Live Events', description: 'Server-Sent Events stream' },
+    { name: 'Sessions', heading: '🧩 Sessions', description: 'Named sessions, their lifecycle and login backups' },
+    { name: 'API keys', heading: '🔑 API Keys', description: 'Keys and their scopes' },
+    { name: 'System', heading: '🔧 System', description: 'Status, QR code, rate limits and documentation' }
+];
+
+// Field schemas shared by several routes
+const PHONE = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 64,
+    description: 'Phone number in any common format, or a chat id (…@c.us, …@g.us, …@lid)',
+    example: '919876543210'
+};
+const COUNTRY = { type: 'string', description: 'ISO 3166 country for numbers without a country code', example: 'IN' };
+const FLAG = { type: 'boolean' };
+const paging = (max) => ({
+    limit: { type: 'integer', description: `Page size, at most ${max}` },
+    offset: { type: 'integer', minimum: 0 }
+});
+
+const checkParameters = (location, schemas, read) => Object.entries(schemas || {})
+    .filter(([name]) => read(name) !== undefined)
+    .flatMap(([name, schema]) => validateSchema(schema, read(name), { path: name, coerceStrings: true }))
+    .map(field => ({ in: location, ...field }));
+
+// Middleware for one operation. A request whose headers, query or body do not
+// match the schemas is refused with INVALID_REQUEST and a field-level list:
+// fields: [{ in: 'body', field: 'contacts[2].phone', message: 'must be a string' }]
+const describeRoute = (spec) => {
+    const validateRequest = (req, res, next) => {
+        // Raw bodies (zip archives, text/csv) are documented but not schema-checked
+        const body = req.body === undefined ? {} : req.body;
+        const checkBody = spec.body && typeof body === 'object' && !Buffer.isBuffer(body);
+
+        const fields = [
+            ...checkParameters('header', spec.headers, name => req.get(name)),
+            ...checkParameters('query', spec.query, name => req.query[name]),
+            ...(checkBody ? validateSchema(spec.body, body, { coerceStrings: !!req.is('multipart/form-data') }) : [])
+                .map(field => ({ in: 'body', ...field }))
+        ];
+        if (fields.length === 0) return next();
+
+        const summary = fields.map(field => (field.field ? `${field.field} ${field.message}` : `body ${field.message}`));
+        sendError(res, apiError('INVALID_REQUEST', `Invalid request: ${summary.join('; ')}`, { fields }));
+    };
+    return Object.assign(validateRequest, { apiSpec: spec });
+};
+
+// Every route with the middleware in front of its handler; router.use(path,
+// requireScope(...)) guards apply to the routes under that path
+const collectRoutes = (stack) => {
+    const guards = [];
+    return stack.flatMap(layer => {
+        if (layer.route) {
+            if (typeof layer.route.path !== 'string') return [];
+            const handles = [
+                ...guards.filter(guard => guard.regexp.test(layer.route.path)).map(guard => guard.handle),
+                ...layer.route.stack.map(routeLayer => routeLayer.handle)
+            ];
+            return Object.keys(layer.route.methods)
+                .filter(method => method !== '_all')
+                .map(method => ({ path: layer.route.path, method, handles }));
+        }
+        if (layer.handle.stack) return collectRoutes(layer.handle.stack);
+        if ('requiredScope' in layer.handle) guards.push(layer);
+        return [];
+    });
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const parametersFor = (path, spec) => [
+    ...(path.match(/:\w+/g) || []).map(param => ({
+        name: param.slice(1),
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+    })),
+    ...Object.entries(spec.query || {}).map(([name, schema]) => ({ name, in: 'query', schema })),
+    ...Object.entries(spec.headers || {}).map(([name, schema]) => ({ name, in: 'header', schema }))
+];
+
+const requestBodyFor = (spec) => {
+    const content = {};
+    if (spec.body) {
+        content['application/json'] = spec.example ? { schema: spec.body, example: spec.example } : { schema: spec.body };
+    }
+    if (spec.upload) {
+        const fields = spec.body ? spec.body.properties : {};
+        content['multipart/form-data'] = {
+            schema: {
+                type: 'object',
+                properties: { ...fields, file: { type: 'string', format: 'binary', description: spec.upload } }
+            }
+        };
+    }
+    (spec.rawBody || []).forEach(type => {
+        content[type] = { schema: type.startsWith('text/') ? { type: 'string' } : { type: 'string', format: 'binary' } };
+    });
+    if (Object.keys(content).length === 0) return undefined;
+    return { required: !!spec.rawBody || !!(spec.body && spec.body.required), content };
+};
+
+const scopeNote = (scope) => {
+    if (scope === undefined) return 'Public; no API key needed.';
+    return scope ? `Needs an API key with the "${scope}" scope.` : 'Needs any valid API key.';
+};
+
+const toOperation = ({ path, handles }) => {
+    const spec = (handles.find(handle => handle.apiSpec) || {}).apiSpec || {};
+    const guard = handles.find(handle => 'requiredScope' in handle);
+    const scope = guard ? guard.requiredScope : undefined;
+
+    const operation = {
+        tags: [spec.tag || 'System'],
+        summary: spec.summary || '',
+        description: [spec.description, scopeNote(scope)].filter(Boolean).join('\n\n')
+    };
+    if (scope === undefined) {
+        operation.security = [];
+    } else {
+        operation['x-scope'] = scope;
+    }
+
+    const parameters = parametersFor(path, spec);
+    if (parameters.length > 0) operation.parameters = parameters;
+    const requestBody = requestBodyFor(spec);
+    if (requestBody) operation.requestBody = requestBody;
+
+    operation.responses = {
+        [spec.status || 200]: {
+            description: spec.returns || 'Success',
+            content: { [spec.produces || 'application/json']: {} }
+        },
+        default: { $ref: '#/components/responses/Error' }
+    };
+    return operation;
+};
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['success', 'error', 'errorCode', 'requestId'],
+    properties: {
+        success: { type: 'boolean', const: false },
+        error: { type: 'string', description: 'Human-readable; may change between versions' },
+        errorCode: { type: 'string', enum: Object.keys(ERROR_CATALOG), description: 'Stable; branch on this' },
+        requestId: { type: 'string', description: 'Also in the X-Request-Id header' },
+        details: { description: 'WhatsApp\'s own error text, for send failures' },
+        fields: {
+            type: 'array',
+            description: 'INVALID_REQUEST: every header, query or body field that failed validation',
+            items: {
+                type: 'object',
+                properties: {
+                    in: { type: 'string', enum: ['header', 'query', 'body'] },
+                    field: { type: 'string', example: 'contacts[2].phone' },
+                    message: { type: 'string', example: 'must be a string' }
+                }
+            }
+        },
+        missing: { type: 'array', description: 'TEMPLATE_VARIABLES_MISSING: recipients with unfilled placeholders' },
+        invalid: { type: 'array', description: 'INVALID_PHONE on bulk sends: the rejected contacts' },
+        retryAfter: { type: 'integer', description: 'RATE_LIMITED: seconds to wait, as in Retry-After' },
+        limit: {
+            type: 'object',
+            description: 'RATE_LIMITED: which limit was hit',
+            properties: {
+                scope: { type: 'string', enum: ['global', 'recipient'] },
+                window: { type: 'string', enum: ['minute', 'hour', 'day'] },
+                max: { type: 'integer' }
+            }
+        }
+    }
+};
+
+// Routes are read once everything is mounted, i.e. on the first request
+const buildOpenApiDocument = (app) => {
+    const paths = {};
+    collectRoutes(app._router.stack).forEach(route => {
+        if (!route.handles.some(handle => handle.apiSpec)) {
+            logger.warn('Route has no describeRoute() schema', { method: route.method.toUpperCase(), path: route.path });
+        }
+        const path = toOpenApiPath(route.path);
+        paths[path] = { ...paths[path], [route.method]: toOperation(route) };
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'WhatsApp API',
+            version,
+            description: 'WhatsApp Web API with a durable send queue, multiple sessions, templates, schedules and webhooks. '
+                + 'Every error uses the envelope in components.schemas.Error.'
+        },
+        tags: TAGS.map(({ name, description }) => ({ name, description })),
+        security: [{ apiKey: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                apiKey: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'An API key from POST /api-keys, or ADMIN_API_KEY. HTML pages also take it as the Basic auth password.'
+                }
+            },
+            schemas: { Error: ERROR_SCHEMA },
+            responses: {
+                Error: {
+                    description: 'Error envelope with a stable errorCode',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                }
+            }
+        }
+    };
+};
+
+module.exports = {
+    COUNTRY,
+    FLAG,
+    PHONE,
+    TAGS,
+    buildOpenApiDocument,
+    describeRoute,
+    paging
+};
@@ -0,0 +1,208 @@
+// Do-not-contact list: numbers that asked not to be messaged, keyed by E.164
+const { createJsonStore } = require('./store');
+const { parsePhone } = require('./phone');
+const { apiError } = require('./errors');
+const { logger } = require('./logger');
+
+// Whole-message matches only, so "please stop the auto-debit" is not an opt-out
+const DEFAULT_KEYWORDS = [
+    'stop', 'stop all', 'unsubscribe', 'opt out', 'optout',
+    'रोकें', 'बंद करें', 'बंद करो', // Hindi
+    'थांबवा', // Marathi
+    'நிறுத்து', // Tamil
+    'ఆపండి', // Telugu
+    'ನಿಲ್ಲಿಸಿ', // Kannada
+    'বন্ধ করুন' // Bengali
+];
+
+const normalizeKeyword = (text) => String(text)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[\s\p{P}]+/gu, ' ')
+    .trim();
+
+const KEYWORDS = (process.env.OPT_OUT_KEYWORDS
+    ? process.env.OPT_OUT_KEYWORDS.split(',')
+    : DEFAULT_KEYWORDS
+).map(normalizeKeyword).filter(Boolean);
+
+const CONFIRMATION_MESSAGE = process.env.OPT_OUT_CONFIRMATION || '';
+
+const CSV_COLUMNS = ['phone', 'reason', 'source', 'keyword', 'createdAt'];
+
+const optedOutError = (phone) => apiError('OPTED_OUT', `${phone} has opted out of messages`);
+
+// Small RFC 4180 reader: quoted fields, escaped quotes, CRLF or LF rows
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const csvField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const createOptOutList = () => {
+    const store = createJsonStore('opt-outs', { entries: {} });
+    const state = store.load();
+
+    const persist = () => store.save(state);
+
+    const keyFor = (phone) => parsePhone(phone).e164;
+
+    // Safe for any input: unparseable numbers are simply not on the list
+    const has = (phone) => {
+        try {
+            return !!state.entries[keyFor(phone)];
+        } catch (e) {
+            return false;
+        }
+    };
+
+    const get = (phone) => state.entries[keyFor(phone)] || null;
+
+    // Throws OPTED_OUT when the number is suppressed
+    const assertAllowed = (phone) => {
+        if (has(phone)) throw optedOutError(keyFor(phone));
+    };
+
+    const upsert = (phone, { reason = null, source = 'api', keyword = null, sessionId = null } = {}) => {
+        const parsed = parsePhone(phone);
+        const existing = state.entries[parsed.e164];
+        if (existing) return { entry: existing, created: false };
+
+        const entry = {
+            phone: parsed.e164,
+            chatId: parsed.chatId,
+            reason,
+            source,
+            keyword,
+            sessionId,
+            createdAt: new Date().toISOString()
+        };
+        state.entries[parsed.e164] = entry;
+        return { entry, created: true };
+    };
+
+    const add = (phone, details) => {
+        const result = upsert(phone, details);
+        if (result.created) {
+            persist();
+            logger.info('Added to the opt-out list', { phone: result.entry.phone, source: result.entry.source });
+        }
+        return result;
+    };
+
+    // Adds several numbers with one write; invalid numbers are reported, not thrown
+    const addMany = (items, source) => {
+        const summary = { added: 0, existing: 0, invalid: [] };
+        items.forEach(({ phone, reason }) => {
+            try {
+                const { created } = upsert(phone, { reason: reason || null, source });
+                if (created) summary.added++;
+                else summary.existing++;
+            } catch (error) {
+                summary.invalid.push({ phone, error: error.message });
+            }
+        });
+        if (summary.added > 0) persist();
+        return summary;
+    };
+
+    const remove = (phone) => {
+        const key = keyFor(phone);
+        if (!state.entries[key]) return false;
+        delete state.entries[key];
+        persist();
+        logger.info('Removed from the opt-out list', { phone: key });
+        return true;
+    };
+
+    const list = ({ search, limit = 100, offset = 0 } = {}) => {
+        const digits = search ? String(search).replace(/\D/g, '') : '';
+        const all = Object.values(state.entries)
+            .filter(entry => !digits || entry.phone.includes(digits))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return { total: all.length, entries: all.slice(offset, offset + limit) };
+    };
+
+    // Returns the matched keyword when the whole message is an opt-out request
+    const matchKeyword = (body) => {
+        const text = normalizeKeyword(body || '');
+        return KEYWORDS.includes(text) ? text : null;
+    };
+
+    // CSV with a header row containing "phone" (and optionally "reason"),
+    // or a bare list of numbers in the first column
+    const importCsv = (text) => {
+        const rows = parseCsv(text);
+        if (rows.length === 0) return { added: 0, existing: 0, invalid: [] };
+
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const phoneColumn = header.indexOf('phone');
+        const reasonColumn = header.indexOf('reason');
+        const dataRows = phoneColumn === -1 ? rows : rows.slice(1);
+        const column = phoneColumn === -1 ? 0 : phoneColumn;
+
+        return addMany(dataRows.map(row => ({
+            phone: (row[column] || '').trim(),
+            reason: reasonColumn === -1 ? null : (row[reasonColumn] || '').trim()
+        })), 'import');
+    };
+
+    const exportCsv = () => [CSV_COLUMNS.join(',')]
+        .concat(Object.values(state.entries).map(entry => CSV_COLUMNS.map(column => csvField(entry[column])).join(',')))
+        .join('\n') + '\n';
+
+    return {
+        has,
+        get,
+        assertAllowed,
+        add,
+        addMany,
+        remove,
+        list,
+        matchKeyword,
+        importCsv,
+        exportCsv,
+        keywords: KEYWORDS,
+        confirmationMessage: CONFIRMATION_MESSAGE
+    };
+};
+
+module.exports = { createOptOutList, optedOutError };
@@ -0,0 +1,70 @@
+// Phone number normalization: E.164 parsing with a configurable default country
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max');
+const { apiError } = require('./errors');
+
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'IN').toUpperCase();
+
+const phoneError = (message) => apiError('INVALID_PHONE', message);
+
+const resolveCountry = (country) => {
+    const code = (country || DEFAULT_COUNTRY).toUpperCase();
+    if (!isSupportedCountry(code)) {
+        throw phoneError(`Unknown country "${country}"; use an ISO 3166 code such as IN or US`);
+    }
+    return code;
+};
+
+// Accepts "+91 98765 43210", "098765 43210", "9876543210", "0091...", "14155552671"
+// and "919876543210@c.us". Numbers without a country code are read in `country`.
+const parsePhone = (input, { country } = {}) => {
+    if (input === undefined || input === null || String(input).trim() === '') {
+        throw phoneError('Phone number is required');
+    }
+    const defaultCountry = resolveCountry(country);
+
+    let raw = String(input).trim();
+    if (raw.endsWith('@c.us')) {
+        raw = `+${raw.slice(0, -'@c.us'.length)}`;
+    }
+    const digits = raw.replace(/\D/g, '');
+    if (/^00/.test(raw.replace(/[\s().-]/g, ''))) {
+        raw = `+${digits.slice(2)}`;
+    }
+
+    let parsed = parsePhoneNumberFromString(raw, defaultCountry);
+    // International digits without the leading "+", e.g. 14155552671 with a default of IN
+    if ((!parsed || !parsed.isValid()) && !raw.startsWith('+') && digits.length > 10) {
+        const international = parsePhoneNumberFromString(`+${digits}`);
+        if (international && international.isValid()) parsed = international;
+    }
+    if (!parsed || !parsed.isValid()) {
+        throw phoneError(`"${input}" is not a valid phone number`);
+    }
+
+    return {
+        input: String(input),
+        e164: parsed.number,
+        country: parsed.country || null,
+        countryCallingCode: parsed.countryCallingCode,
+        nationalNumber: parsed.nationalNumber,
+        type: parsed.getType() || null,
+        chatId: `${parsed.number.slice(1)}@c.us`
+    };
+};
+
+// WhatsApp chat id (digits@c.us) for a phone number; throws INVALID_PHONE
+const toChatId = (input, options) => parsePhone(input, options).chatId;
+
+// Group ids are digits with dashes (older groups) and LIDs are digits
+const GROUP_ID = /^[\d-]+@g\.us$/;
+const LID = /^\d+@lid$/;
+
+// Chats are addressed by WhatsApp id (…@c.us, …@g.us, …@lid) or by phone number
+const resolveChatId = (input, options) => {
+    const raw = String(input ?? '').trim();
+    if (GROUP_ID.test(raw) || LID.test(raw)) return raw;
+    if (/@(g\.us|lid)$/.test(raw)) throw phoneError(`"${input}" is not a valid chat id`);
+    return toChatId(input, options);
+};
+
+module.exports = { DEFAULT_COUNTRY, parsePhone, resolveChatId, resolveCountry, toChatId };
@@ -0,0 +1,125 @@
+// HTML for the QR / connection page of a session. One page covers loading,
+// scanning and connected; /events pushes the changes, so it never reloads.
+const LIVE_EVENTS = ['status', 'qr', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'loading_screen'];
+
+const renderQrPage = (session, { statusPath, eventsPath }) => {
+    const initial = session.isReady || session.isAuthenticated ? 'connected' : (session.qrCode ? 'scan' : 'loading');
+    const visible = (state) => (state === initial ? 'block' : 'none');
+
+    return `
+        <!DOCTYPE html>
+        <html>
+            <head>
+                <title>WhatsApp Connection - Railway</title>
+                <meta name="viewport" content="width=device-width, initial-scale=1">
+                <style>
+                    body { font-family: Arial, sans-serif; text-align: center; padding: 20px; background: #f5f5f5; }
+                    .container { max-width: 500px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                    .qr-container { margin: 20px 0; padding: 20px; border: 2px solid #25D366; border-radius: 10px; background: white; }
+                    .success { color: #25D366; font-size: 24px; margin-bottom: 20px; }
+                    .btn { background: #25D366; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; margin: 10px; text-decoration: none; display: inline-block; }
+                    .btn:hover { background: #1da851; }
+                    .status-info { background: #d4edda; color: #155724; padding: 15px; border-radius: 5px; margin: 20px 0; }
+                    .railway-badge { background: #0f0f23; color: white; padding: 5px 10px; border-radius: 15px; font-size: 12px; margin: 10px 0; }
+                    .steps { text-align: left; margin: 20px 0; }
+                    .steps ol { padding-left: 20px; }
+                    .steps li { margin: 10px 0; }
+                    .spinner { border: 4px solid #f3f3f3; border-top: 4px solid #25D366; border-radius: 50%; width: 40px; height: 40px; animation: spin 1s linear infinite; margin: 20px auto; }
+                    @keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
+                    .progress { background: #e9ecef; border-radius: 10px; height: 20px; margin: 20px 0; overflow: hidden; }
+                    .progress-bar { background: #25D366; height: 100%; width: 0%; transition: width 0.5s ease; }
+                    .status-text { color: #666; margin: 10px 0; }
+                    .live { color: #999; font-size: 12px; margin-top: 20px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="railway-badge">🚂 Powered by Railway</div>
+
+                    <div id="loading" style="display: ${visible('loading')}">
+                        <h2>⏳ Initializing WhatsApp...</h2>
+                        <div class="spinner"></div>
+                        <div class="progress">
+                            <div class="progress-bar" id="progressBar"></div>
+                        </div>
+                        <p class="status-text" id="statusText">Starting WhatsApp client...</p>
+                        <p>QR code will appear here shortly.</p>
+                    </div>
+
+                    <div id="scan" style="display: ${visible('scan')}">
+                        <h2>📱 Scan WhatsApp QR Code</h2>
+                        <div class="steps">
+                            <h3>How to scan:</h3>
+                            <ol>
+                                <li>Open <strong>WhatsApp</strong> on your phone</li>
+                                <li>Go to <strong>Settings</strong> → <strong>Linked Devices</strong></li>
+                                <li>Tap <strong>"Link a Device"</strong></li>
+                                <li>Scan the QR code below</li>
+                            </ol>
+                        </div>
+                        <div class="qr-container">
+                            <img id="qrImage" src="${session.qrCode || ''}" alt="WhatsApp QR Code" style="max-width: 100%; height: auto;">
+                        </div>
+                        <p class="status-text">The code refreshes here automatically.</p>
+                    </div>
+
+                    <div id="connected" style="display: ${visible('connected')}">
+                        <div class="success">✅ WhatsApp Connected!</div>
+                        <div class="status-info">
+                            <strong>Status:</strong> <span id="readyState">${session.isReady ? 'Fully Ready' : 'Authenticated (Loading...)'}</span>
+                        </div>
+                        <p id="readyText">Your WhatsApp API is ${session.isReady ? 'ready to send messages' : 'connected and finishing setup'}.</p>
+                    </div>
+
+                    <a href="${statusPath}" class="btn">📊 Check Status</a>
+                    <a href="/" class="btn">🏠 Home</a>
+                    <p class="live" id="live">Connecting to live updates...</p>
+                </div>
+
+                <script>
+                    const show = (state) => {
+                        ['loading', 'scan', 'connected'].forEach(id => {
+                            document.getElementById(id).style.display = id === state ? 'block' : 'none';
+                        });
+                    };
+                    const setText = (id, text) => { document.getElementById(id).textContent = text; };
+                    const showConnected = (ready) => {
+                        setText('readyState', ready ? 'Fully Ready' : 'Authenticated (Loading...)');
+                        setText('readyText', 'Your WhatsApp API is ' + (ready ? 'ready to send messages' : 'connected and finishing setup') + '.');
+                        show('connected');
+                    };
+                    const showQr = (qrCode) => {
+                        document.getElementById('qrImage').src = qrCode;
+                        show('scan');
+                    };
+                    const showLoading = (text) => {
+                        setText('statusText', text);
+                        show('loading');
+                    };
+
+                    const source = new EventSource('${eventsPath}?types=${LIVE_EVENTS.join(',')}');
+                    const on = (type, handler) => source.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+
+                    on('status', (data) => {
+                        if (data.connected) showConnected(data.ready);
+                        else if (data.qrCode) showQr(data.qrCode);
+                    });
+                    on('qr', (data) => showQr(data.qrCode));
+                    on('authenticated', () => showConnected(false));
+                    on('ready', () => showConnected(true));
+                    on('loading_screen', (data) => {
+                        document.getElementById('progressBar').style.width = data.percent + '%';
+                        setText('statusText', '🌐 Loading WhatsApp Web: ' + data.percent + '%');
+                    });
+                    on('disconnected', (data) => showLoading('🔌 Disconnected (' + data.reason + '), reconnecting...'));
+                    on('auth_failure', () => showLoading('❌ Authentication failed, waiting for a new QR code...'));
+
+                    source.onopen = () => setText('live', '🟢 Live updates');
+                    source.onerror = () => setText('live', '🔴 Live updates interrupted, retrying...');
+                </script>
+            </body>
+        </html>
+    `;
+};
+
+module.exports = { renderQrPage };
@@ -0,0 +1,20 @@
+// Request ids: taken from an incoming X-Request-Id (so a caller's or proxy's id
+// carries through) or generated, echoed in the response header and added to
+// every error body
+const crypto = require('crypto');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const assignRequestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const json = res.json.bind(res);
+    res.json = (body) => (body && body.success === false && !body.requestId
+        ? json({ ...body, requestId: req.id })
+        : json(body));
+    next();
+};
+
+module.exports = { assignRequestId };
@@ -0,0 +1,546 @@
+// Persistent scheduler for one-off (sendAt) and recurring messages
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createJsonStore } = require('./store');
+const { apiError } = require('./errors');
+const { logger } = require('./logger');
+
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'Asia/Kolkata';
+const DEFAULT_CATCH_UP = process.env.SCHEDULE_CATCH_UP || 'once';
+// A run this late was missed (server down, not just a slow tick) and goes through the catch-up policy
+const MISSED_AFTER_MS = parseInt(process.env.SCHEDULE_MISSED_AFTER_MS, 10) || 5 * 60 * 1000;
+const MAX_TIMER_MS = 60 * 1000;
+const MAX_CATCH_UP_RUNS = 50;
+const RUN_HISTORY_LIMIT = 20;
+const FINISHED_SCHEDULE_LIMIT = 200;
+// A run refused for a reason that clears up by itself is tried again after
+// Retry-After, or this delay when there is none. Anything else (a deleted
+// template, missing variables, an opt-out) fails the run at once.
+const RETRYABLE_RUN_CODES = ['RATE_LIMITED', 'CLIENT_NOT_READY', 'TIMEOUT', 'QUEUE_ERROR'];
+const RUN_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RUN_ATTEMPTS = 5;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+// skip: drop missed runs; once: send one catch-up message; all: send every missed run
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+const FINISHED_STATUSES = ['completed', 'cancelled', 'missed'];
+
+// Request fields that set a schedule's timing, as JSON Schema for the routes.
+// Ranges and combinations are still checked by normalizeRepeat/buildTiming.
+const SCHEDULE_FIELDS = {
+    sendAt: {
+        type: ['string', 'null'],
+        description: 'ISO 8601 date-time; without an offset it is read in timezone',
+        example: '2026-11-05T10:00'
+    },
+    timezone: { type: 'string', description: `IANA time zone (default ${DEFAULT_TIMEZONE})` },
+    repeat: {
+        type: ['object', 'null'],
+        required: ['frequency'],
+        properties: {
+            frequency: { type: 'string', enum: FREQUENCIES },
+            interval: { type: 'integer', minimum: 1 },
+            time: { type: 'string', description: 'HH:mm, 24-hour' },
+            dayOfMonth: { type: 'integer', minimum: 1, maximum: 31 },
+            dayOfWeek: { type: 'integer', minimum: 0, maximum: 6, description: '0 is Sunday' },
+            until: { type: 'string' },
+            count: { type: 'integer', minimum: 1 }
+        }
+    },
+    catchUp: { type: 'string', enum: CATCH_UP_POLICIES }
+};
+
+const scheduleError = (message, errorCode = 'INVALID_SCHEDULE') => apiError(errorCode, message);
+
+// Wall-clock fields of an instant in an IANA time zone
+const localParts = (date, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = parseInt(value, 10);
+    });
+    return parts;
+};
+
+const offsetAt = (ms, timeZone) => {
+    const p = localParts(new Date(ms), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ms;
+};
+
+// Second pass corrects the offset when the guess lands across a DST change
+const zonedTime = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const guess = wall - offsetAt(wall, timeZone);
+    return new Date(wall - offsetAt(guess, timeZone));
+};
+
+const addDays = ({ year, month, day }, days) => {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const weekday = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+// dayOfMonth 31 in a 30-day month falls on the 30th
+const monthDate = (year, month, dayOfMonth) => {
+    const index = year * 12 + (month - 1);
+    const y = Math.floor(index / 12);
+    const m = index % 12 + 1;
+    const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return { year: y, month: m, day: Math.min(dayOfMonth, lastDay) };
+};
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// "2026-11-05T10:00:00+05:30" is absolute; "2026-11-05 10:00" is read in timeZone
+const parseSendAt = (value, timeZone) => {
+    if (typeof value !== 'string') {
+        throw scheduleError('sendAt must be an ISO 8601 date-time string');
+    }
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim())) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) throw scheduleError(`sendAt "${value}" is not a valid date-time`);
+        return date;
+    }
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value.trim());
+    if (!match) {
+        throw scheduleError(`sendAt "${value}" is not a valid date-time`);
+    }
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(part => parseInt(part || 0, 10));
+    return zonedTime({ year, month, day, hour, minute, second }, timeZone);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// The wall-clock time of an instant in timeZone, without an offset, as parseSendAt reads it
+const localDateTime = (date, timeZone) => {
+    const p = localParts(date, timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+};
+
+const normalizeRepeat = (repeat, anchor, timeZone, hasSendAt) => {
+    if (!repeat) return null;
+    if (typeof repeat !== 'object' || !FREQUENCIES.includes(repeat.frequency)) {
+        throw scheduleError(`repeat.frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+    if (!repeat.time && !hasSendAt) {
+        throw scheduleError('repeat.time (HH:mm) or sendAt is required for recurring schedules');
+    }
+
+    const local = localParts(anchor, timeZone);
+    const rule = {
+        frequency: repeat.frequency,
+        interval: repeat.interval === undefined ? 1 : parseInt(repeat.interval, 10),
+        time: repeat.time || `${pad(local.hour)}:${pad(local.minute)}`
+    };
+    if (!(rule.interval >= 1)) {
+        throw scheduleError('repeat.interval must be a positive integer');
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(rule.time)) {
+        throw scheduleError('repeat.time must be HH:mm (24-hour)');
+    }
+    if (rule.frequency === 'monthly') {
+        rule.dayOfMonth = repeat.dayOfMonth === undefined ? local.day : parseInt(repeat.dayOfMonth, 10);
+        if (!(rule.dayOfMonth >= 1 && rule.dayOfMonth <= 31)) {
+            throw scheduleError('repeat.dayOfMonth must be between 1 and 31');
+        }
+    }
+    if (rule.frequency === 'weekly') {
+        rule.dayOfWeek = repeat.dayOfWeek === undefined ? weekday(local) : parseInt(repeat.dayOfWeek, 10);
+        if (!(rule.dayOfWeek >= 0 && rule.dayOfWeek <= 6)) {
+            throw scheduleError('repeat.dayOfWeek must be between 0 (Sunday) and 6 (Saturday)');
+        }
+    }
+    if (repeat.until) {
+        const until = new Date(repeat.until);
+        if (Number.isNaN(until.getTime())) throw scheduleError('repeat.until is not a valid date-time');
+        rule.until = until.toISOString();
+    }
+    if (repeat.count !== undefined) {
+        rule.count = parseInt(repeat.count, 10);
+        if (!(rule.count >= 1)) throw scheduleError('repeat.count must be a positive integer');
+    }
+    return rule;
+};
+
+const runTime = (rule, date, timeZone) => {
+    const [hour, minute] = rule.time.split(':').map(Number);
+    return zonedTime({ ...date, hour, minute }, timeZone);
+};
+
+// First occurrence of the rule at or after notBefore
+const firstOccurrence = (rule, timeZone, notBefore) => {
+    const start = localParts(notBefore, timeZone);
+    let date = { year: start.year, month: start.month, day: start.day };
+
+    if (rule.frequency === 'monthly') {
+        date = monthDate(start.year, start.month, rule.dayOfMonth);
+        if (runTime(rule, date, timeZone) < notBefore) {
+            date = monthDate(start.year, start.month + 1, rule.dayOfMonth);
+        }
+    } else if (rule.frequency === 'weekly') {
+        date = addDays(date, (rule.dayOfWeek - weekday(date) + 7) % 7);
+        if (runTime(rule, date, timeZone) < notBefore) date = addDays(date, 7);
+    } else if (runTime(rule, date, timeZone) < notBefore) {
+        date = addDays(date, 1);
+    }
+    return runTime(rule, date, timeZone);
+};
+
+const followingOccurrence = (rule, timeZone, previous) => {
+    const last = localParts(previous, timeZone);
+    const date = { year: last.year, month: last.month, day: last.day };
+    if (rule.frequency === 'monthly') {
+        return runTime(rule, monthDate(last.year, last.month + rule.interval, rule.dayOfMonth), timeZone);
+    }
+    return runTime(rule, addDays(date, rule.frequency === 'weekly' ? 7 * rule.interval : rule.interval), timeZone);
+};
+
+// send(schedule) enqueues one run through the normal send path and returns
+// the queue job. Schedules move active -> completed | cancelled | missed.
+const createScheduler = ({ send, messageQueue }) => {
+    const events = new EventEmitter();
+    const store = createJsonStore('schedules', { schedules: [] });
+    const state = store.load();
+    let timer = null;
+
+    const persist = () => store.save(state);
+
+    const findSchedule = (id) => state.schedules.find(schedule => schedule.id === id) || null;
+
+    const touch = (schedule) => {
+        schedule.updatedAt = new Date().toISOString();
+    };
+
+    // Works out timezone, rule and the first run from a create/update body
+    const buildTiming = ({ sendAt, timezone, repeat, catchUp }) => {
+        const timeZone = timezone || DEFAULT_TIMEZONE;
+        if (!isValidTimeZone(timeZone)) {
+            throw scheduleError(`Unknown timezone "${timeZone}"`);
+        }
+        if (!sendAt && !repeat) {
+            throw scheduleError('sendAt or repeat is required to schedule a message');
+        }
+        const policy = catchUp || DEFAULT_CATCH_UP;
+        if (!CATCH_UP_POLICIES.includes(policy)) {
+            throw scheduleError(`catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}`);
+        }
+
+        const start = sendAt ? parseSendAt(sendAt, timeZone) : new Date();
+        if (sendAt && !repeat && start.getTime() < Date.now() - MISSED_AFTER_MS) {
+            throw scheduleError('sendAt is in the past');
+        }
+
+        const rule = normalizeRepeat(repeat, start, timeZone, !!sendAt);
+        const nextRunAt = rule ? firstOccurrence(rule, timeZone, start) : start;
+        if (rule && rule.until && nextRunAt > new Date(rule.until)) {
+            throw scheduleError('repeat.until is before the first run');
+        }
+
+        return {
+            timezone: timeZone,
+            sendAt: sendAt ? start.toISOString() : null,
+            repeat: rule,
+            catchUp: policy,
+            nextRunAt: nextRunAt.toISOString()
+        };
+    };
+
+    const pruneFinished = () => {
+        const finished = state.schedules.filter(schedule => FINISHED_STATUSES.includes(schedule.status));
+        if (finished.length <= FINISHED_SCHEDULE_LIMIT) return;
+        const drop = new Set(finished.slice(0, finished.length - FINISHED_SCHEDULE_LIMIT).map(s => s.id));
+        state.schedules = state.schedules.filter(schedule => !drop.has(schedule.id));
+    };
+
+    // Attachments are released once the schedule is over and its last run has settled
+    const releaseIfDone = (schedule) => {
+        if (!FINISHED_STATUSES.includes(schedule.status) || schedule.released) return;
+        if (schedule.runs.some(run => run.status === 'queued' || run.status === 'retrying')) return;
+        schedule.released = true;
+        events.emit('finished', schedule);
+    };
+
+    const finish = (schedule, status) => {
+        schedule.status = status;
+        schedule.nextRunAt = null;
+        schedule.finishedAt = new Date().toISOString();
+        schedule.updatedAt = schedule.finishedAt;
+        if (status === 'cancelled') {
+            schedule.runs
+                .filter(run => run.status === 'retrying')
+                .forEach(run => {
+                    run.status = 'cancelled';
+                    delete run.retryAt;
+                });
+        }
+        logger.info('Schedule finished', { scheduleId: schedule.id, status });
+        releaseIfDone(schedule);
+        pruneFinished();
+    };
+
+    const recordRun = (schedule, run) => {
+        schedule.runs.push(run);
+        if (schedule.runs.length > RUN_HISTORY_LIMIT) {
+            schedule.runs.splice(0, schedule.runs.length - RUN_HISTORY_LIMIT);
+        }
+    };
+
+    // Hands a run to the queue. RETRYABLE_RUN_CODES leave it 'retrying' until
+    // retryAt, up to MAX_RUN_ATTEMPTS; any other error fails it.
+    const attempt = (schedule, run) => {
+        run.attempts = (run.attempts || 0) + 1;
+        try {
+            const job = send(schedule);
+            Object.assign(run, { status: 'queued', queueId: job.id });
+            ['error', 'errorCode', 'retryAt'].forEach(field => delete run[field]);
+            logger.info('Scheduled run queued', { scheduleId: schedule.id, jobId: job.id, phone: schedule.phone });
+        } catch (error) {
+            const errorCode = error.errorCode || 'SEND_ERROR';
+            Object.assign(run, { status: 'failed', error: error.message, errorCode });
+            delete run.retryAt;
+            if (RETRYABLE_RUN_CODES.includes(errorCode) && run.attempts < MAX_RUN_ATTEMPTS) {
+                const delayMs = error.retryAfter ? error.retryAfter * 1000 : RUN_RETRY_DELAY_MS;
+                Object.assign(run, { status: 'retrying', retryAt: new Date(Date.now() + delayMs).toISOString() });
+            }
+            logger.warn('Scheduled run could not be queued', {
+                scheduleId: schedule.id,
+                status: run.status,
+                retryAt: run.retryAt,
+                errorCode,
+                error: error.message
+            });
+        }
+    };
+
+    const fire = (schedule, scheduledFor, { catchUp = false } = {}) => {
+        const run = { scheduledFor: scheduledFor.toISOString(), firedAt: new Date().toISOString(), catchUp };
+        attempt(schedule, run);
+        schedule.runCount = (schedule.runCount || 0) + 1;
+        schedule.lastRunAt = run.firedAt;
+        recordRun(schedule, run);
+    };
+
+    // Next occurrence after `previous` within repeat.until; count is checked separately
+    const nextOccurrence = (schedule, previous) => {
+        const { repeat: rule } = schedule;
+        if (!rule) return null;
+        const next = followingOccurrence(rule, schedule.timezone, previous);
+        return rule.until && next > new Date(rule.until) ? null : next;
+    };
+
+    const exhausted = (schedule) =>
+        !schedule.repeat || (schedule.repeat.count && schedule.runCount >= schedule.repeat.count);
+
+    const runDue = (schedule, now) => {
+        const due = new Date(schedule.nextRunAt);
+        let next;
+
+        if (now - due.getTime() <= MISSED_AFTER_MS) {
+            fire(schedule, due);
+            next = nextOccurrence(schedule, due);
+        } else {
+            // Every occurrence that passed while the server was not running
+            const missed = [];
+            next = due;
+            while (next && next.getTime() <= now) {
+                if (missed.length < MAX_CATCH_UP_RUNS) missed.push(next);
+                next = nextOccurrence(schedule, next);
+            }
+
+            logger.info('Schedule missed runs', { scheduleId: schedule.id, missedRuns: missed.length, catchUp: schedule.catchUp });
+            if (schedule.catchUp === 'skip') {
+                recordRun(schedule, {
+                    scheduledFor: missed[0].toISOString(),
+                    status: 'skipped',
+                    missedRuns: missed.length,
+                    firedAt: null
+                });
+                if (!schedule.repeat) {
+                    finish(schedule, 'missed');
+                    return;
+                }
+            } else {
+                const remaining = schedule.repeat && schedule.repeat.count
+                    ? schedule.repeat.count - schedule.runCount
+                    : missed.length;
+                const toSend = schedule.catchUp === 'all' ? missed.slice(0, remaining) : missed.slice(-1);
+                toSend.forEach(at => fire(schedule, at, { catchUp: true }));
+            }
+        }
+
+        if (next && !exhausted(schedule)) {
+            schedule.nextRunAt = next.toISOString();
+            touch(schedule);
+        } else {
+            finish(schedule, 'completed');
+        }
+    };
+
+    // Runs waiting out a retry, which a completed schedule can still have
+    const retryingRuns = () => state.schedules.flatMap(schedule =>
+        schedule.runs.filter(run => run.status === 'retrying').map(run => ({ schedule, run })));
+
+    const tick = () => {
+        timer = null;
+        const now = Date.now();
+        const due = state.schedules.filter(schedule =>
+            schedule.status === 'active' && new Date(schedule.nextRunAt).getTime() <= now);
+        due.forEach(schedule => runDue(schedule, now));
+        const retries = retryingRuns().filter(({ run }) => new Date(run.retryAt).getTime() <= now);
+        retries.forEach(({ schedule, run }) => {
+            attempt(schedule, run);
+            touch(schedule);
+            releaseIfDone(schedule);
+        });
+        if (due.length > 0 || retries.length > 0) persist();
+        arm();
+    };
+
+    // One timer for the soonest run or retry, re-checked at least every minute
+    const arm = () => {
+        clearTimeout(timer);
+        const upcoming = state.schedules
+            .filter(schedule => schedule.status === 'active')
+            .map(schedule => new Date(schedule.nextRunAt).getTime())
+            .concat(retryingRuns().map(({ run }) => new Date(run.retryAt).getTime()));
+        if (upcoming.length === 0) {
+            timer = null;
+            return;
+        }
+        const delay = Math.min(Math.max(Math.min(...upcoming) - Date.now(), 0), MAX_TIMER_MS);
+        timer = setTimeout(tick, delay);
+        timer.unref();
+    };
+
+    const settle = (queueJob) => {
+        if (!queueJob.batchId) return;
+        const schedule = findSchedule(queueJob.batchId);
+        if (!schedule) return;
+        const run = schedule.runs.find(r => r.queueId === queueJob.id);
+        if (!run || run.status !== 'queued') return;
+
+        if (queueJob.status === 'sent') {
+            run.status = 'sent';
+            run.messageId = queueJob.messageId;
+        } else {
+            Object.assign(run, { status: 'failed', error: queueJob.lastError, errorCode: queueJob.errorCode });
+        }
+        touch(schedule);
+        releaseIfDone(schedule);
+        persist();
+    };
+
+    messageQueue.on('sent', settle);
+    messageQueue.on('dead', settle);
+
+    const create = ({ sessionId = 'default', phone, message = null, template = null, variables = null, allowMissing = false, media = null, legacyChatCreation = false, ...timing }) => {
+        const now = new Date().toISOString();
+        const schedule = {
+            id: crypto.randomUUID(),
+            sessionId,
+            status: 'active',
+            phone,
+            message,
+            template,
+            variables,
+            allowMissing: !!allowMissing,
+            media,
+            legacyChatCreation,
+            ...buildTiming(timing),
+            runCount: 0,
+            lastRunAt: null,
+            runs: [],
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null
+        };
+        state.schedules.push(schedule);
+        persist();
+        logger.info('Schedule created', { scheduleId: schedule.id, phone, nextRunAt: schedule.nextRunAt });
+        arm();
+        return schedule;
+    };
+
+    // Content changes apply from the next run; timing changes recompute it
+    const update = (schedule, changes) => {
+        if (schedule.status !== 'active') {
+            throw scheduleError(`Schedule is ${schedule.status} and cannot be changed`, 'SCHEDULE_NOT_ACTIVE');
+        }
+
+        const timingKeys = ['sendAt', 'timezone', 'repeat', 'catchUp'];
+        if (timingKeys.some(key => changes[key] !== undefined)) {
+            // A new timezone alone keeps the local time of sendAt and moves it into that zone
+            let sendAt = changes.sendAt !== undefined ? changes.sendAt : (changes.repeat ? null : schedule.sendAt);
+            if (changes.sendAt === undefined && sendAt && changes.timezone && changes.timezone !== schedule.timezone) {
+                sendAt = localDateTime(new Date(sendAt), schedule.timezone);
+            }
+            const timing = buildTiming({
+                sendAt,
+                timezone: changes.timezone || schedule.timezone,
+                repeat: changes.repeat !== undefined ? changes.repeat : schedule.repeat,
+                catchUp: changes.catchUp || schedule.catchUp
+            });
+            Object.assign(schedule, timing);
+        }
+
+        ['message', 'template', 'variables', 'allowMissing'].forEach(key => {
+            if (changes[key] !== undefined) schedule[key] = changes[key];
+        });
+        touch(schedule);
+        persist();
+        arm();
+        return schedule;
+    };
+
+    // A run already handed to the queue still goes out
+    const cancel = (schedule) => {
+        if (schedule.status !== 'active') return false;
+        finish(schedule, 'cancelled');
+        persist();
+        arm();
+        return true;
+    };
+
+    // A deleted session has nothing left to send through
+    const discardSession = (sessionId) => {
+        state.schedules
+            .filter(schedule => schedule.sessionId === sessionId && schedule.status === 'active')
+            .forEach(schedule => finish(schedule, 'cancelled'));
+        persist();
+        arm();
+    };
+
+    const list = ({ status, sessionId } = {}) => state.schedules.filter(schedule =>
+        (!status || schedule.status === status) && (!sessionId || schedule.sessionId === sessionId));
+
+    // Runs that fell due while the server was down are handled on the first tick
+    arm();
+
+    return {
+        create,
+        update,
+        cancel,
+        discardSession,
+        get: findSchedule,
+        list,
+        on: events.on.bind(events)
+    };
+};
+
+module.exports = { CATCH_UP_POLICIES, SCHEDULE_FIELDS, createScheduler };
@@ -0,0 +1,176 @@
+// Send governor: per-account and per-recipient rate limits, daily caps and paced sends
+const { createJsonStore } = require('./store');
+const { apiError } = require('./errors');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const envLimit = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// "global" limits apply to everything one WhatsApp account (session) sends;
+// "recipient" limits to what it sends to a single number. 0 turns a limit off.
+// Days are rolling 24-hour windows.
+const LIMITS = [
+    { scope: 'global', window: 'minute', windowMs: MINUTE, max: envLimit('RATE_GLOBAL_PER_MINUTE', 20) },
+    { scope: 'global', window: 'hour', windowMs: HOUR, max: envLimit('RATE_GLOBAL_PER_HOUR', 600) },
+    { scope: 'global', window: 'day', windowMs: DAY, max: envLimit('RATE_GLOBAL_PER_DAY', 2000) },
+    { scope: 'recipient', window: 'hour', windowMs: HOUR, max: envLimit('RATE_RECIPIENT_PER_HOUR', 5) },
+    { scope: 'recipient', window: 'day', windowMs: DAY, max: envLimit('RATE_RECIPIENT_PER_DAY', 10) }
+].filter(limit => limit.max > 0);
+
+// Every send waits at least MIN_GAP_MS plus up to JITTER_MS after the previous one
+const MIN_GAP_MS = envLimit('SEND_MIN_GAP_MS', 1500);
+const JITTER_MS = envLimit('SEND_JITTER_MS', 2000);
+const PERSIST_DELAY_MS = 1000;
+
+const rateLimitError = (limit, retryAfterMs) => apiError(
+    'RATE_LIMITED',
+    `Rate limit reached: ${limit.max} messages per ${limit.window} ${limit.scope === 'global' ? 'for this account' : 'to this recipient'}`,
+    {
+        retryAfter: Math.max(Math.ceil(retryAfterMs / 1000), 1),
+        limit: { scope: limit.scope, window: limit.window, max: limit.max }
+    }
+);
+
+// Admission happens when a message is accepted (API call, bulk recipient,
+// scheduled run), so a burst of concurrent callers is counted before any of
+// it reaches the queue. pace() spaces out the actual sends.
+const createSendGovernor = () => {
+    const store = createJsonStore('rate-limits', { sessions: {} });
+    const state = store.load();
+    const lastSendAt = new Map();
+    let persistTimer = null;
+
+    const schedulePersist = () => {
+        if (persistTimer) return;
+        persistTimer = setTimeout(() => {
+            persistTimer = null;
+            store.save(state);
+        }, PERSIST_DELAY_MS);
+        persistTimer.unref();
+    };
+
+    const flush = () => {
+        if (!persistTimer) return;
+        clearTimeout(persistTimer);
+        persistTimer = null;
+        store.save(state);
+    };
+
+    const sessionState = (sessionId) => {
+        if (!state.sessions[sessionId]) {
+            state.sessions[sessionId] = { global: [], recipients: {} };
+        }
+        return state.sessions[sessionId];
+    };
+
+    // Only a day of timestamps is ever needed
+    const prune = (timestamps, now) => {
+        while (timestamps.length > 0 && timestamps[0] <= now - DAY) timestamps.shift();
+        return timestamps;
+    };
+
+    const windowUsage = (timestamps, limit, now) => {
+        const inWindow = timestamps.filter(at => at > now - limit.windowMs);
+        return {
+            used: inWindow.length,
+            // The window frees a slot when its oldest send ages out
+            resetsInMs: inWindow.length > 0 ? inWindow[0] + limit.windowMs - now : 0
+        };
+    };
+
+    const timestampsFor = (session, scope, phone, now) => {
+        if (scope === 'global') return prune(session.global, now);
+        return prune(session.recipients[phone] || [], now);
+    };
+
+    // Returns the first limit that would be exceeded, with the wait until it clears
+    const check = (sessionId, phone, now = Date.now()) => {
+        const session = sessionState(sessionId);
+        for (const limit of LIMITS) {
+            const { used, resetsInMs } = windowUsage(timestampsFor(session, limit.scope, phone, now), limit, now);
+            if (used >= limit.max) {
+                return { limit, retryAfterMs: resetsInMs };
+            }
+        }
+        return null;
+    };
+
+    // Counts one message against every limit, or throws RATE_LIMITED
+    const admit = (sessionId, phone) => {
+        const now = Date.now();
+        const blocked = check(sessionId, phone, now);
+        if (blocked) {
+            throw rateLimitError(blocked.limit, blocked.retryAfterMs);
+        }
+
+        const session = sessionState(sessionId);
+        session.global.push(now);
+        session.recipients[phone] = prune(session.recipients[phone] || [], now);
+        session.recipients[phone].push(now);
+        schedulePersist();
+    };
+
+    // Waits out the minimum gap plus jitter since this account's previous send
+    const pace = async (sessionId) => {
+        const gap = MIN_GAP_MS + Math.round(Math.random() * JITTER_MS);
+        const wait = (lastSendAt.get(sessionId) || 0) + gap - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        lastSendAt.set(sessionId, Date.now());
+    };
+
+    const describeLimits = (session, scope, phone, now) => LIMITS
+        .filter(limit => limit.scope === scope)
+        .map(limit => {
+            const { used, resetsInMs } = windowUsage(timestampsFor(session, scope, phone, now), limit, now);
+            return {
+                window: limit.window,
+                limit: limit.max,
+                used,
+                remaining: Math.max(limit.max - used, 0),
+                resetsInSeconds: Math.ceil(resetsInMs / 1000)
+            };
+        });
+
+    // Usage for a session, plus one recipient when a phone is given
+    const usage = (sessionId, phone = null) => {
+        const now = Date.now();
+        const session = sessionState(sessionId);
+
+        // Drop recipients with nothing left in the day window while we are here
+        Object.keys(session.recipients).forEach(key => {
+            if (prune(session.recipients[key], now).length === 0) delete session.recipients[key];
+        });
+
+        const view = {
+            sessionId,
+            global: describeLimits(session, 'global', null, now),
+            recipientLimits: LIMITS.filter(limit => limit.scope === 'recipient')
+                .map(limit => ({ window: limit.window, limit: limit.max })),
+            activeRecipients: Object.keys(session.recipients).length,
+            pacing: { minGapMs: MIN_GAP_MS, jitterMs: JITTER_MS }
+        };
+        if (phone) {
+            view.recipient = { phone, limits: describeLimits(session, 'recipient', phone, now) };
+        }
+        return view;
+    };
+
+    return {
+        admit,
+        check,
+        pace,
+        usage,
+        flush,
+        // Average spacing between sends, used for ETAs
+        averageGapMs: () => MIN_GAP_MS + JITTER_MS / 2
+    };
+};
+
+module.exports = { LIMITS, createSendGovernor };
@@ -0,0 +1,318 @@
+// The one path every outgoing message takes: validation, template rendering,
+// attachments, opt-out and rate-limit admission, then the durable queue (or the
+// scheduler / a bulk job), and finally delivery by the queue processor
+const { apiError } = require('./errors');
+const { logger } = require('./logger');
+const { requireReady, withTimeout } = require('./session-manager');
+const { resolveChatId } = require('./phone');
+const { renderForContacts } = require('./templates');
+const { prepareMedia, loadMedia, removeMedia } = require('./media');
+
+// A send WhatsApp Web never answers would otherwise hold up its session's queue
+// for good; it fails as TIMEOUT and is retried
+const SEND_TIMEOUT_MS = parseInt(process.env.SEND_TIMEOUT_MS, 10) || 60 * 1000;
+
+// Multipart uploads carry objects and arrays as JSON strings
+const parseJsonField = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+};
+
+// JSON booleans, or "true" from multipart fields
+const isTrue = (value) => value === true || value === 'true';
+
+// Removes the attachment again when the step that would own it fails
+const releaseOnFailure = (media, step) => {
+    try {
+        return step();
+    } catch (error) {
+        removeMedia(media);
+        throw error;
+    }
+};
+
+const unresolvedLid = (lid) => apiError('LID_NOT_RESOLVED', `No phone number is known for ${lid}`);
+
+// Phone chat ids (…@c.us) for LIDs, by LID; a LID WhatsApp has no number for is left out
+const lidPhones = async (client, lids) => {
+    if (lids.length === 0) return new Map();
+    const mappings = await client.getContactLidAndPhone(lids).catch(() => []);
+    return new Map(lids.map((lid, i) => [lid, mappings[i] && mappings[i].pn]).filter(([, phone]) => phone));
+};
+
+const createSendPipeline = ({
+    sessions,
+    messageQueue,
+    bulkJobs,
+    scheduler,
+    chatPreparer,
+    governor,
+    optOuts,
+    templates,
+    idempotency
+}) => {
+    // ✅ Queue processor: the actual send, with the chat prepared first (fixes "No LID")
+    const deliver = async (job) => {
+        const session = sessions.get(job.sessionId);
+        if (!session) {
+            throw apiError('SESSION_DELETED', `Session "${job.sessionId}" no longer exists`);
+        }
+        const { client } = requireReady(session);
+
+        // Queued before the recipient opted out. Jobs addressed to a LID are
+        // checked against its phone number.
+        if (job.phone.endsWith('@lid')) {
+            const phone = (await lidPhones(client, [job.phone])).get(job.phone);
+            if (!phone) throw unresolvedLid(job.phone);
+            optOuts.assertAllowed(phone);
+        } else {
+            optOuts.assertAllowed(job.phone);
+        }
+
+        // STEP 1: Resolve the number, LID and chat without messaging the recipient.
+        // Group and LID chat ids (replies in an existing chat) are used as they are.
+        const { chatId } = /@(g\.us|lid)$/.test(job.phone)
+            ? { chatId: job.phone }
+            : await chatPreparer.prepare(session, job.phone, { legacyChatCreation: job.legacyChatCreation });
+
+        // STEP 2: Space sends out (minimum gap plus jitter), then send
+        await governor.pace(session.id);
+        logger.info('Sending message', { session: session.id, jobId: job.id, chatId });
+
+        try {
+            const quoted = job.quotedMessageId ? { quotedMessageId: job.quotedMessageId } : {};
+            const sending = job.media
+                ? client.sendMessage(chatId, loadMedia(job.media), {
+                    ...quoted,
+                    caption: job.message || undefined,
+                    sendMediaAsDocument: job.media.asDocument
+                })
+                : client.sendMessage(chatId, job.message, quoted);
+            const result = await withTimeout(sending, SEND_TIMEOUT_MS, `Send timed out after ${SEND_TIMEOUT_MS / 1000}s`);
+            return { messageId: result.id.id, serializedId: result.id._serialized };
+        } catch (error) {
+            if (error.message.includes('LID')) {
+                chatPreparer.forget(session.id, job.phone);
+            }
+            throw error;
+        }
+    };
+
+    // Every send that is not queued (forwards) or is about to be (everything
+    // else) is checked against the opt-out list and counted against the rate
+    // limits; throws OPTED_OUT or RATE_LIMITED
+    const admit = (sessionId, phone) => {
+        optOuts.assertAllowed(phone);
+        governor.admit(sessionId, phone);
+    };
+
+    // The chat id to send to: a LID becomes the phone number behind it, since
+    // the opt-out list and rate limits key on numbers; throws LID_NOT_RESOLVED
+    // when there is none
+    const resolveRecipient = async (session, input, options) => {
+        const chatId = resolveChatId(input, options);
+        if (!chatId.endsWith('@lid')) return chatId;
+        const phone = (await lidPhones(requireReady(session).client, [chatId])).get(chatId);
+        if (!phone) throw unresolvedLid(chatId);
+        return phone;
+    };
+
+    const enqueue = (fields) => {
+        admit(fields.sessionId, fields.phone);
+        return messageQueue.enqueue(fields);
+    };
+
+    // Renders the named template once per contact. Placeholders without a value
+    // are refused unless the caller sends allowMissing.
+    const renderTemplate = ({ template: name, variables, allowMissing }, contacts) => {
+        const template = templates.require(name);
+        const rendered = renderForContacts(template, contacts, parseJsonField(variables) || {});
+
+        const incomplete = rendered
+            .map((item, index) => ({ index, phone: item.phone, missing: item.missing }))
+            .filter(item => item.missing.length > 0);
+        if (incomplete.length > 0 && !isTrue(allowMissing)) {
+            throw apiError('TEMPLATE_VARIABLES_MISSING', `Template "${name}" has placeholders without values`, {
+                missing: incomplete
+            });
+        }
+        return rendered;
+    };
+
+    // Scheduled runs go through the queue exactly like a direct /send; templates
+    // are rendered at run time so edits apply to later runs
+    const sendScheduled = (schedule) => {
+        const message = schedule.template
+            ? renderTemplate(schedule, [{ phone: schedule.phone }])[0].text
+            : schedule.message;
+        return enqueue({
+            sessionId: schedule.sessionId,
+            phone: schedule.phone,
+            message,
+            media: schedule.media,
+            batchId: schedule.id,
+            legacyChatCreation: schedule.legacyChatCreation
+        });
+    };
+
+    // Media from a multipart "file" upload or a JSON "media" object; null for text-only sends
+    const readAttachment = (body, file) => {
+        if (file) {
+            const { filename, mimetype, asDocument } = body;
+            return prepareMedia({ filename, mimetype, asDocument: asDocument === 'true' }, file);
+        }
+        return body.media ? prepareMedia(body.media) : null;
+    };
+
+    // A /send body: queued at once, or scheduled when it has sendAt or repeat.
+    // Resolves to { schedule } or { job, phone, message, media }.
+    const send = async (session, body, { file } = {}) => {
+        const { phone, message, caption, template, sendAt, timezone, catchUp, country, quotedMessageId } = body;
+        const text = message || caption;
+        const legacyChatCreation = isTrue(body.legacyChatCreation);
+        const repeat = parseJsonField(body.repeat);
+
+        if (!phone || (!text && !template && !body.media && !file)) {
+            throw apiError('INVALID_REQUEST', 'Phone and a message, template or media attachment are required');
+        }
+        if (quotedMessageId && (sendAt || repeat)) {
+            throw apiError('INVALID_SCHEDULE', 'quotedMessageId cannot be used with sendAt or repeat');
+        }
+
+        // Phone numbers and LIDs become @c.us chats; @g.us group ids are sent to as they are
+        const formattedPhone = await resolveRecipient(session, phone, { country });
+
+        // Rendering up front also rejects scheduled sends with missing variables
+        const rendered = template ? renderTemplate(body, [{ phone }])[0].text : text;
+
+        const media = await readAttachment(body, file);
+
+        if (sendAt || repeat) {
+            const schedule = releaseOnFailure(media, () => scheduler.create({
+                sessionId: session.id,
+                phone: formattedPhone,
+                message: text || null,
+                template: template || null,
+                variables: parseJsonField(body.variables) || null,
+                allowMissing: isTrue(body.allowMissing),
+                media,
+                legacyChatCreation,
+                sendAt,
+                timezone,
+                repeat,
+                catchUp
+            }));
+            return { schedule };
+        }
+
+        const job = releaseOnFailure(media, () => enqueue({
+            sessionId: session.id,
+            phone: formattedPhone,
+            message: rendered,
+            media,
+            legacyChatCreation,
+            quotedMessageId: quotedMessageId || null
+        }));
+        logger.info('Message queued', { session: session.id, jobId: job.id, phone: formattedPhone });
+        return { job, phone: formattedPhone, message: rendered, media };
+    };
+
+    // Where a duplicate per-contact idempotencyKey was first used, with its outcome so far
+    const originalRecipient = (ref) => {
+        const job = bulkJobs.get(ref.jobId);
+        const original = job && job.recipients.find(recipient => recipient.phone === ref.phone);
+        return original ? { ...ref, status: original.status, messageId: original.messageId || null } : ref;
+    };
+
+    // A /send-bulk body as a background job. owner scopes the per-contact
+    // idempotencyKeys (one namespace per API key).
+    const startBulk = async (session, body, { file, owner } = {}) => {
+        const { message, caption, template, intervalMs, country } = body;
+        const text = message || caption;
+        const contacts = parseJsonField(body.contacts);
+
+        if (!contacts || !Array.isArray(contacts) || (!text && !template && !body.media && !file)) {
+            throw apiError('INVALID_REQUEST', 'Contacts array and a message, template or media attachment are required');
+        }
+
+        // Contacts may be objects whose fields fill the template placeholders
+        const rendered = template ? renderTemplate(body, contacts) : null;
+
+        // Invalid numbers are recorded as failed recipients instead of failing the whole job.
+        // A contact whose idempotencyKey was seen before is skipped.
+        const seenKeys = new Set();
+        const recipients = contacts.map((contact, i) => {
+            const isObject = contact && typeof contact === 'object';
+            const phone = isObject ? contact.phone : contact;
+            const key = isObject && contact.idempotencyKey ? String(contact.idempotencyKey) : undefined;
+            const recipient = { phone: String(phone ?? ''), message: rendered ? rendered[i].text : undefined, idempotencyKey: key };
+            try {
+                recipient.phone = resolveChatId(phone, { country });
+            } catch (error) {
+                Object.assign(recipient, { error: error.message, errorCode: error.errorCode });
+                return recipient;
+            }
+
+            if (key) {
+                const scopedKey = `${owner}:contact:${key}`;
+                const previous = idempotency.find(scopedKey);
+                if (previous || seenKeys.has(scopedKey)) {
+                    recipient.duplicateOf = previous ? originalRecipient(previous.ref) : { sameRequest: true };
+                }
+                seenKeys.add(scopedKey);
+            }
+            return recipient;
+        });
+
+        // LIDs are swapped for their phone numbers in one lookup
+        const lidRecipients = recipients.filter(recipient => !recipient.errorCode && recipient.phone.endsWith('@lid'));
+        if (lidRecipients.length > 0) {
+            const phones = await lidPhones(requireReady(session).client, lidRecipients.map(recipient => recipient.phone));
+            lidRecipients.forEach(recipient => {
+                const phone = phones.get(recipient.phone);
+                if (phone) recipient.phone = phone;
+                else Object.assign(recipient, { error: unresolvedLid(recipient.phone).message, errorCode: 'LID_NOT_RESOLVED' });
+            });
+        }
+
+        if (recipients.every(recipient => recipient.errorCode)) {
+            throw apiError('INVALID_PHONE', 'None of the contacts has a valid phone number', { invalid: recipients });
+        }
+
+        const media = await readAttachment(body, file);
+        const job = releaseOnFailure(media, () => bulkJobs.create({
+            sessionId: session.id,
+            recipients,
+            message: rendered ? null : text,
+            template: template || null,
+            media,
+            intervalMs,
+            legacyChatCreation: isTrue(body.legacyChatCreation)
+        }));
+        job.recipients
+            .filter(recipient => recipient.idempotencyKey && !['failed', 'skipped'].includes(recipient.status))
+            .forEach(recipient => idempotency.claim(`${owner}:contact:${recipient.idempotencyKey}`, {
+                jobId: job.id,
+                phone: recipient.phone
+            }));
+        return job;
+    };
+
+    return {
+        deliver,
+        admit,
+        enqueue,
+        resolveRecipient,
+        pace: governor.pace,
+        renderTemplate,
+        sendScheduled,
+        send,
+        startBulk
+    };
+};
+
+module.exports = { createSendPipeline };
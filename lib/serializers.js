@@ -0,0 +1,113 @@
+// Plain JSON views of whatsapp-web.js objects for API responses and webhooks
+
+const serializeMessage = (msg) => ({
+    id: msg.id._serialized,
+    messageId: msg.id.id,
+    from: msg.from,
+    to: msg.to,
+    author: msg.author || null,
+    fromMe: msg.fromMe,
+    type: msg.type,
+    body: msg.body,
+    hasMedia: msg.hasMedia,
+    ack: msg.ack,
+    timestamp: msg.timestamp
+});
+
+const serializeGroupNotification = (notification) => ({
+    id: notification.id._serialized,
+    chatId: notification.chatId,
+    author: notification.author || null,
+    recipientIds: notification.recipientIds || [],
+    type: notification.type,
+    body: notification.body,
+    timestamp: notification.timestamp
+});
+
+// Fuller view for conversation history; quoted and media details come from the
+// message data already loaded, so listing a page costs no extra lookups
+const serializeHistoryMessage = (msg) => {
+    const data = msg._data || {};
+    return {
+        ...serializeMessage(msg),
+        chatId: msg.id.remote._serialized || msg.id.remote,
+        isForwarded: !!msg.isForwarded,
+        isStarred: !!msg.isStarred,
+        hasReaction: !!msg.hasReaction,
+        mentionedIds: msg.mentionedIds || [],
+        quoted: msg.hasQuotedMsg ? {
+            id: data.quotedStanzaID || null,
+            participant: data.quotedParticipant ? (data.quotedParticipant._serialized || data.quotedParticipant) : null,
+            type: data.quotedMsg.type || null,
+            body: data.quotedMsg.body || data.quotedMsg.caption || ''
+        } : null,
+        media: msg.hasMedia ? {
+            mimetype: data.mimetype || null,
+            filename: data.filename || null,
+            size: data.size || null,
+            duration: msg.duration ? Number(msg.duration) : null
+        } : null
+    };
+};
+
+const serializeChat = (chat) => ({
+    id: chat.id._serialized,
+    name: chat.name,
+    isGroup: chat.isGroup,
+    unreadCount: chat.unreadCount || 0,
+    archived: !!chat.archived,
+    pinned: !!chat.pinned,
+    isMuted: !!chat.isMuted,
+    lastMessage: chat.lastMessage?.body || '',
+    lastMessageType: chat.lastMessage?.type || null,
+    lastMessageFromMe: chat.lastMessage ? chat.lastMessage.fromMe : null,
+    timestamp: chat.timestamp
+});
+
+// Labels are WhatsApp Business label ids; the profile lookup resolves their names
+const serializeContact = (contact) => ({
+    id: contact.id._serialized,
+    number: contact.number || null,
+    name: contact.name || null,
+    pushname: contact.pushname || null,
+    shortName: contact.shortName || null,
+    verifiedName: contact.verifiedName || null,
+    isBusiness: !!contact.isBusiness,
+    isEnterprise: !!contact.isEnterprise,
+    isMyContact: !!contact.isMyContact,
+    isWAContact: !!contact.isWAContact,
+    isBlocked: !!contact.isBlocked,
+    labels: contact.labels || []
+});
+
+const serializeParticipant = (participant) => ({
+    id: participant.id._serialized,
+    isAdmin: !!participant.isAdmin,
+    isSuperAdmin: !!participant.isSuperAdmin
+});
+
+// Reads groupMetadata directly: the GroupChat getters throw when it is missing
+const serializeGroup = (chat) => {
+    const metadata = chat.groupMetadata || {};
+    const participants = metadata.participants || [];
+    return {
+        id: chat.id._serialized,
+        name: chat.name,
+        description: metadata.desc || '',
+        owner: metadata.owner ? metadata.owner._serialized : null,
+        createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+        archived: !!chat.archived,
+        unreadCount: chat.unreadCount || 0,
+        participantCount: participants.length,
+        participants: participants.map(serializeParticipant)
+    };
+};
+
+module.exports = {
+    serializeMessage,
+    serializeHistoryMessage,
+    serializeChat,
+    serializeContact,
+    serializeGroup,
+    serializeGroupNotification
+};
@@ -0,0 +1,571 @@
+// Named WhatsApp sessions, each with its own client, auth directory and state
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { Client, LocalAuth, RemoteAuth } = require('whatsapp-web.js');
+const qrcode = require('qrcode');
+const { createJsonStore } = require('./store');
+const { apiError } = require('./errors');
+const { logger } = require('./logger');
+
+const AUTH_DATA_PATH = path.join(process.cwd(), '.wwebjs_auth');
+// Reconnect delays double from the base up to the cap; attempts are unlimited
+const RECONNECT_BASE_MS = parseInt(process.env.RECONNECT_BASE_MS, 10) || 5000;
+const RECONNECT_MAX_MS = parseInt(process.env.RECONNECT_MAX_MS, 10) || 5 * 60 * 1000;
+// A client that neither shows a QR nor becomes ready this long after starting
+// (or after authenticating) is treated as hung
+const INIT_TIMEOUT_MS = parseInt(process.env.INIT_TIMEOUT_MS, 10) || 3 * 60 * 1000;
+// How often a ready client is asked for its state; 0 turns the check off
+const HEALTH_CHECK_INTERVAL_MS = process.env.HEALTH_CHECK_INTERVAL_MS !== undefined
+    ? parseInt(process.env.HEALTH_CHECK_INTERVAL_MS, 10) || 0
+    : 60 * 1000;
+const HEALTH_CHECK_TIMEOUT_MS = 30 * 1000;
+const DESTROY_TIMEOUT_MS = 15 * 1000;
+// How often RemoteAuth re-uploads the session archive (its minimum is one minute)
+const AUTH_BACKUP_INTERVAL_MS = Math.max(parseInt(process.env.AUTH_BACKUP_INTERVAL_MS, 10) || 5 * 60 * 1000, 60 * 1000);
+const DEFAULT_SESSION_ID = 'default';
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Client events re-emitted by the manager as (session, ...args)
+const FORWARDED_EVENTS = [
+    'message',
+    'message_ack',
+    'message_revoke_everyone',
+    'group_join',
+    'group_leave',
+    'group_admin_changed',
+    'group_update'
+];
+
+const PUPPETEER_ARGS = [
+    // Railway-optimized Puppeteer args
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--disable-web-security',
+    '--no-first-run',
+    '--no-zygote',
+    '--single-process',
+    '--disable-extensions',
+    '--disable-plugins',
+    '--disable-default-apps',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--disable-hang-monitor',
+    '--disable-ipc-flooding-protection',
+    '--disable-logging',
+    '--disable-notifications',
+    '--mute-audio',
+    '--no-default-browser-check',
+    '--disable-software-rasterizer'
+];
+
+const withTimeout = (promise, ms, message) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Exponential backoff with up to 20% jitter, so sessions do not retry in lockstep
+const retryDelay = (attempt) => {
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** Math.max(attempt - 1, 0), RECONNECT_MAX_MS);
+    return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+// The session, if its client can take commands right now; routes call this
+// before touching session.client
+const requireReady = (session) => {
+    if (!session.isReady || !session.client) {
+        throw apiError('CLIENT_NOT_READY', 'WhatsApp client not ready');
+    }
+    return session;
+};
+
+// authStore: a RemoteAuth store from auth-stores.js; without one, auth stays
+// in .wwebjs_auth through LocalAuth
+const createSessionManager = ({ authStore = null } = {}) => {
+    const events = new EventEmitter();
+    const store = createJsonStore('sessions', { sessions: [] });
+    const state = store.load();
+    const sessions = new Map();
+
+    // The original single-client deployment keeps its auth under "railway-client"
+    if (!state.sessions.some(config => config.id === DEFAULT_SESSION_ID)) {
+        state.sessions.unshift({
+            id: DEFAULT_SESSION_ID,
+            name: 'Default',
+            clientId: 'railway-client',
+            autoStart: true,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    const persist = () => store.save(state);
+
+    const describeRecovery = (session) => ({
+        attempt: session.initAttempts,
+        nextRetryAt: session.recovery.nextRetryAt,
+        lastError: session.recovery.lastError,
+        lastFailureAt: session.recovery.lastFailureAt,
+        lastReadyAt: session.recovery.lastReadyAt,
+        recoveries: session.recovery.count
+    });
+
+    const describe = (session) => ({
+        id: session.id,
+        name: session.config.name,
+        status: session.isReady ? 'ready'
+            : session.isAuthenticated ? 'authenticated'
+            : session.qrCode ? 'qr'
+            : session.client ? 'starting'
+            : session.running ? 'reconnecting'
+            : 'stopped',
+        connected: session.isAuthenticated || session.isReady,
+        ready: session.isReady,
+        authenticated: session.isAuthenticated,
+        hasQR: !!session.qrCode,
+        initAttempts: session.initAttempts,
+        reconnect: describeRecovery(session),
+        authStore: authStore ? authStore.type : 'local',
+        autoStart: session.config.autoStart,
+        createdAt: session.config.createdAt
+    });
+
+    const resetState = (session) => {
+        session.isReady = false;
+        session.isAuthenticated = false;
+        session.qrCode = null;
+        session.clientInitialized = false;
+    };
+
+    const attach = (config) => {
+        const session = {
+            id: config.id,
+            config,
+            client: null,
+            qrCode: null,
+            isReady: false,
+            isAuthenticated: false,
+            clientInitialized: false,
+            // Supervised: a failed client is replaced until the session is stopped
+            running: false,
+            // Launches since the client was last ready; drives the backoff
+            initAttempts: 0,
+            recovery: { nextRetryAt: null, lastError: null, lastFailureAt: null, lastReadyAt: null, count: 0 },
+            timers: { retry: null, watchdog: null, health: null }
+        };
+        sessions.set(config.id, session);
+        return session;
+    };
+
+    const clearTimers = (session) => {
+        clearTimeout(session.timers.retry);
+        clearTimeout(session.timers.watchdog);
+        clearInterval(session.timers.health);
+        session.timers = { retry: null, watchdog: null, health: null };
+    };
+
+    // Closes the browser; one that does not close in time is killed so its
+    // profile lock is released for the next client
+    const teardown = async (session, client) => {
+        client.removeAllListeners();
+        const browser = client.pupBrowser;
+        // No browser yet: the launch failed, or initialize() cleans up when it returns
+        if (!browser) return;
+        browser.removeAllListeners('disconnected');
+        try {
+            await withTimeout(client.destroy(), DESTROY_TIMEOUT_MS, 'Browser did not close in time');
+        } catch (error) {
+            logger.warn('Error while closing client', { session: session.id, error: error.message });
+            const browserProcess = browser.process();
+            if (browserProcess) browserProcess.kill('SIGKILL');
+        }
+    };
+
+    // Replaces a failed client after a backoff delay. Stale clients (already
+    // replaced or stopped) are ignored, so overlapping failures recover once.
+    const recover = (session, client, reason, { notify = true } = {}) => {
+        if (session.client !== client) return;
+
+        logger.error('Client failed', { session: session.id, reason });
+        session.client = null;
+        clearTimers(session);
+        resetState(session);
+        if (notify) events.emit('disconnected', session, reason);
+        teardown(session, client);
+
+        const delay = retryDelay(session.initAttempts);
+        Object.assign(session.recovery, {
+            lastError: reason,
+            lastFailureAt: new Date().toISOString(),
+            nextRetryAt: new Date(Date.now() + delay).toISOString(),
+            count: session.recovery.count + 1
+        });
+        logger.info('Reconnecting', { session: session.id, delaySeconds: Math.round(delay / 1000), attempt: session.initAttempts + 1 });
+        session.timers.retry = setTimeout(() => {
+            session.timers.retry = null;
+            if (session.running && !session.client) initClient(session);
+        }, delay);
+    };
+
+    const armWatchdog = (session, client, reason) => {
+        clearTimeout(session.timers.watchdog);
+        session.timers.watchdog = setTimeout(() => recover(session, client, reason), INIT_TIMEOUT_MS);
+    };
+
+    // A crashed page or browser emits no client event, and a hung page only
+    // shows up as calls that never return
+    const watchBrowser = (session, client) => {
+        if (session.client !== client) return;
+        client.pupPage.on('error', (error) => recover(session, client, `Browser page crashed: ${error.message}`));
+        client.pupBrowser.on('disconnected', () => recover(session, client, 'Browser closed unexpectedly'));
+    };
+
+    const startHealthChecks = (session, client) => {
+        if (!HEALTH_CHECK_INTERVAL_MS) return;
+        clearInterval(session.timers.health);
+        session.timers.health = setInterval(() => {
+            withTimeout(client.getState(), HEALTH_CHECK_TIMEOUT_MS, 'Health check timed out')
+                .catch(error => recover(session, client, `Health check failed: ${error.message}`));
+        }, HEALTH_CHECK_INTERVAL_MS);
+    };
+
+    // RemoteAuth names the archive after its directory
+    const archiveName = (session) => `RemoteAuth-${session.config.clientId}`;
+
+    const createAuthStrategy = (session) => (authStore
+        ? new RemoteAuth({
+            clientId: session.config.clientId,
+            dataPath: AUTH_DATA_PATH,
+            store: authStore,
+            backupSyncIntervalMs: AUTH_BACKUP_INTERVAL_MS
+        })
+        : new LocalAuth({
+            clientId: session.config.clientId,
+            dataPath: AUTH_DATA_PATH
+        }));
+
+    // Railway-optimized WhatsApp Client Initialization
+    const initClient = (session) => {
+        session.initAttempts++;
+        session.recovery.nextRetryAt = null;
+        logger.info('Initializing WhatsApp client', { session: session.id, attempt: session.initAttempts });
+
+        const client = new Client({
+            authStrategy: createAuthStrategy(session),
+            puppeteer: {
+                headless: true,
+                args: PUPPETEER_ARGS,
+                timeout: 60000 // Railway has better resources than Vercel
+            },
+            // Use remote web version for Railway
+            webVersionCache: {
+                type: 'remote',
+                remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
+            },
+            // Railway-specific settings
+            restartOnAuthFail: true,
+            qrMaxRetries: 3,
+            takeoverOnConflict: true,
+            takeoverTimeoutMs: 30000
+        });
+        session.client = client;
+        armWatchdog(session, client, `No QR code or session within ${INIT_TIMEOUT_MS / 1000}s of starting`);
+
+        // Event Handlers
+        client.on('qr', async (qr) => {
+            // Waiting for someone to scan is not a hang
+            clearTimeout(session.timers.watchdog);
+            try {
+                const qrStartTime = Date.now();
+                logger.info('QR received, generating image', { session: session.id });
+
+                session.qrCode = await qrcode.toDataURL(qr, {
+                    width: 300,
+                    margin: 1,
+                    color: {
+                        dark: '#000000',
+                        light: '#FFFFFF'
+                    },
+                    errorCorrectionLevel: 'M'
+                });
+
+                logger.info('QR ready to scan', {
+                    session: session.id,
+                    durationMs: Date.now() - qrStartTime,
+                    qrPage: session.id === DEFAULT_SESSION_ID ? '/qr' : `/sessions/${session.id}/qr`
+                });
+                events.emit('qr', session);
+            } catch (error) {
+                logger.error('Failed to generate QR', { session: session.id, error });
+            }
+        });
+
+        client.on('ready', () => {
+            logger.info('WhatsApp client ready', { session: session.id });
+            clearTimeout(session.timers.watchdog);
+            session.isReady = true;
+            session.isAuthenticated = true;
+            session.qrCode = null;
+            session.clientInitialized = true;
+            session.initAttempts = 0;
+            session.recovery.lastReadyAt = new Date().toISOString();
+            startHealthChecks(session, client);
+            events.emit('ready', session);
+        });
+
+        client.on('authenticated', () => {
+            logger.info('WhatsApp authenticated', { session: session.id });
+            session.isAuthenticated = true;
+            session.qrCode = null;
+            armWatchdog(session, client, `Not ready within ${INIT_TIMEOUT_MS / 1000}s of authenticating`);
+            events.emit('authenticated', session);
+        });
+
+        client.on('auth_failure', (msg) => {
+            logger.error('Authentication failed', { session: session.id, reason: msg });
+            resetState(session);
+            events.emit('auth_failure', session, msg);
+            recover(session, client, `Authentication failed: ${msg}`, { notify: false });
+        });
+
+        client.on('disconnected', (reason) => {
+            logger.warn('Disconnected', { session: session.id, reason });
+            resetState(session);
+            events.emit('disconnected', session, reason);
+
+            // After a logout WhatsApp Web shows a fresh QR in the same browser
+            if (reason === 'LOGOUT') {
+                clearInterval(session.timers.health);
+                return;
+            }
+            recover(session, client, `Disconnected: ${reason}`, { notify: false });
+        });
+
+        client.on('remote_session_saved', () => {
+            logger.info('Session archive saved', { session: session.id, authStore: authStore.type });
+        });
+
+        client.on('loading_screen', (percent, message) => {
+            logger.info('Loading WhatsApp', { session: session.id, percent, message });
+            events.emit('loading_screen', session, percent, message);
+        });
+
+        FORWARDED_EVENTS.forEach(event => {
+            client.on(event, (...args) => events.emit(event, session, ...args));
+        });
+
+        // Initialize client
+        client.initialize()
+            .then(() => {
+                // A client given up on while it was starting still has a browser to close
+                if (session.client !== client) return teardown(session, client);
+                watchBrowser(session, client);
+            })
+            .catch(err => recover(session, client, `Failed to initialize: ${err.message}`));
+    };
+
+    const get = (id) => sessions.get(id) || null;
+
+    const create = ({ id, name, autoStart = true }) => {
+        if (!SESSION_ID_PATTERN.test(id)) {
+            throw apiError('INVALID_SESSION', 'Session id may only contain letters, numbers, "_" and "-" (max 32)');
+        }
+        if (sessions.has(id)) {
+            throw apiError('SESSION_EXISTS', `Session "${id}" already exists`);
+        }
+
+        const config = {
+            id,
+            name: name || id,
+            clientId: id,
+            autoStart: !!autoStart,
+            createdAt: new Date().toISOString()
+        };
+        state.sessions.push(config);
+        persist();
+        logger.info('Session created', { session: id });
+
+        const session = attach(config);
+        if (config.autoStart) {
+            start(session);
+        }
+        return session;
+    };
+
+    const start = (session) => {
+        if (session.running) return false;
+        session.running = true;
+        session.initAttempts = 0;
+        initClient(session);
+        return true;
+    };
+
+    // Also cancels a pending reconnect
+    const stop = async (session) => {
+        if (!session.running) return false;
+        const { client } = session;
+
+        session.running = false;
+        session.client = null;
+        clearTimers(session);
+        session.recovery.nextRetryAt = null;
+        resetState(session);
+        events.emit('stopped', session);
+        if (client) await teardown(session, client);
+        logger.info('Session stopped', { session: session.id });
+        return true;
+    };
+
+    // Throws the current browser away and starts a fresh client at once,
+    // skipping any backoff wait; starts a stopped session
+    const restart = async (session) => {
+        if (!session.running) return start(session);
+        const { client } = session;
+
+        logger.info('Restart requested', { session: session.id });
+        session.client = null;
+        clearTimers(session);
+        resetState(session);
+        events.emit('disconnected', session, 'RESTART');
+        if (client) await teardown(session, client);
+        session.initAttempts = 0;
+        if (session.running && !session.client) initClient(session);
+        return true;
+    };
+
+    // Unlinks the device; logout() also closes the browser, so the session ends
+    // stopped. A logout that fails or hangs leaves the browser to teardown, since
+    // nothing else can reach this client afterwards.
+    const logout = async (session) => {
+        const { client } = session;
+        session.running = false;
+        session.client = null;
+        clearTimers(session);
+        resetState(session);
+        events.emit('stopped', session);
+        try {
+            await withTimeout(client.logout(), DESTROY_TIMEOUT_MS, 'Logout did not finish in time');
+        } catch (error) {
+            await teardown(session, client);
+            throw error;
+        }
+        client.removeAllListeners();
+    };
+
+    // Logs the device out when possible and deletes the session's auth directory
+    const remove = async (session) => {
+        if (session.id === DEFAULT_SESSION_ID) {
+            throw apiError('SESSION_PROTECTED', 'The default session cannot be deleted');
+        }
+
+        if (session.client && session.isReady) {
+            try {
+                await logout(session);
+            } catch (error) {
+                logger.warn('Logout before delete failed', { session: session.id, error: error.message });
+            }
+        }
+        await stop(session);
+
+        fs.rmSync(path.join(AUTH_DATA_PATH, `session-${session.config.clientId}`), { recursive: true, force: true });
+        if (authStore) {
+            fs.rmSync(path.join(AUTH_DATA_PATH, archiveName(session)), { recursive: true, force: true });
+            await authStore.delete({ session: archiveName(session) }).catch(error => {
+                logger.warn('Could not delete the stored session archive', { session: session.id, error: error.message });
+            });
+        }
+        state.sessions = state.sessions.filter(config => config.id !== session.id);
+        sessions.delete(session.id);
+        persist();
+        logger.info('Session deleted', { session: session.id });
+        events.emit('removed', session);
+    };
+
+    const requireAuthStore = () => {
+        if (!authStore) {
+            throw apiError('AUTH_STORE_NOT_CONFIGURED', 'Backups need a remote auth store; set AUTH_STORE to directory or s3');
+        }
+    };
+
+    // Copies the session archive to targetPath. A ready client uploads a fresh
+    // archive first, so the backup is current.
+    const backupAuth = async (session, targetPath) => {
+        requireAuthStore();
+        const name = archiveName(session);
+        if (session.isReady && session.client) {
+            await session.client.authStrategy.storeRemoteSession();
+        }
+        if (!(await authStore.sessionExists({ session: name }))) {
+            throw apiError('NO_AUTH_BACKUP', `No stored archive for session "${session.id}" yet; link a device and wait a minute`);
+        }
+        await authStore.extract({ session: name, path: targetPath });
+    };
+
+    // Replaces the stored archive with the zip at sourcePath. A running
+    // session is restarted so it picks the restored login up.
+    const restoreAuth = async (session, sourcePath) => {
+        requireAuthStore();
+        const name = archiveName(session);
+        const wasRunning = session.running;
+        await stop(session);
+
+        // Stores read the archive from ./<name>.zip, where RemoteAuth leaves it
+        const pending = path.resolve(`${name}.zip`);
+        await fs.promises.copyFile(sourcePath, pending);
+        try {
+            await authStore.save({ session: name });
+        } finally {
+            await fs.promises.rm(pending, { force: true });
+        }
+        logger.info('Session archive restored', { session: session.id, authStore: authStore.type });
+
+        if (wasRunning) start(session);
+    };
+
+    const startAll = () => {
+        state.sessions
+            .filter(config => config.autoStart)
+            .forEach(config => start(get(config.id)));
+    };
+
+    const destroyAll = () => Promise.all(
+        Array.from(sessions.values())
+            .filter(session => session.client)
+            .map(session => {
+                session.running = false;
+                clearTimers(session);
+                return session.client.destroy().catch(() => {});
+            })
+    );
+
+    state.sessions.forEach(attach);
+    persist();
+
+    return {
+        DEFAULT_SESSION_ID,
+        get,
+        getDefault: () => get(DEFAULT_SESSION_ID),
+        list: () => Array.from(sessions.values()),
+        describe,
+        describeRecovery,
+        create,
+        start,
+        stop,
+        restart,
+        backupAuth,
+        restoreAuth,
+        logout,
+        remove,
+        startAll,
+        destroyAll,
+        on: events.on.bind(events)
+    };
+};
+
+module.exports = { createSessionManager, requireReady, withTimeout, DEFAULT_SESSION_ID };
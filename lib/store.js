@@ -0,0 +1,36 @@
+// JSON file persistence shared by the queue and other durable state
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Each store is a single JSON document under DATA_DIR. Writes go to a temp
+// file first and are renamed into place so a crash never leaves half a file.
+const createJsonStore = (name, defaults = {}) => {
+    const file = path.join(DATA_DIR, `${name}.json`);
+
+    const load = () => {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read store file, starting empty', { file, error: error.message });
+            }
+            return clone(defaults);
+        }
+    };
+
+    const save = (data) => {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpFile, file);
+    };
+
+    return { file, load, save };
+};
+
+module.exports = { DATA_DIR, createJsonStore };
@@ -0,0 +1,204 @@
+// Named message templates with {{placeholders}} rendered per recipient
+const { createJsonStore } = require('./store');
+const { apiError } = require('./errors');
+const { logger } = require('./logger');
+
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const TIMEZONE = process.env.TEMPLATE_TIMEZONE || 'Asia/Kolkata';
+
+const DATE_STYLES = {
+    short: { day: '2-digit', month: '2-digit', year: 'numeric' },
+    medium: { day: 'numeric', month: 'short', year: 'numeric' },
+    long: { day: 'numeric', month: 'long', year: 'numeric' }
+};
+
+const toNumber = (value) => {
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[₹,\s]/g, ''));
+    return Number.isFinite(number) ? number : null;
+};
+
+// Helpers are applied left to right: {{ emi_amount | inr }}, {{ due_date | date:long }},
+// {{ name | default:"Customer" | upper }}
+const HELPERS = {
+    default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+    inr: (value) => {
+        const number = toNumber(value);
+        return number === null ? value : new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(number);
+    },
+    number: (value) => {
+        const number = toNumber(value);
+        return number === null ? value : new Intl.NumberFormat('en-IN').format(number);
+    },
+    date: (value, style = 'medium') => {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) return value;
+        return new Intl.DateTimeFormat('en-IN', { ...(DATE_STYLES[style] || DATE_STYLES.medium), timeZone: TIMEZONE }).format(date);
+    },
+    upper: (value) => String(value).toUpperCase(),
+    lower: (value) => String(value).toLowerCase()
+};
+
+const parsePlaceholder = (expression) => {
+    const [key, ...filters] = expression.split('|').map(part => part.trim());
+    return {
+        key,
+        filters: filters.map(filter => {
+            const separator = filter.indexOf(':');
+            if (separator === -1) return { name: filter, arg: undefined };
+            return {
+                name: filter.slice(0, separator).trim(),
+                arg: filter.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1')
+            };
+        })
+    };
+};
+
+const templateError = (message, errorCode) => apiError(errorCode, message);
+
+// Returns the unknown helper names used in a template body
+const unknownHelpers = (body) => {
+    const unknown = new Set();
+    for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+        parsePlaceholder(match[1]).filters
+            .filter(filter => !Object.hasOwn(HELPERS, filter.name))
+            .forEach(filter => unknown.add(filter.name));
+    }
+    return Array.from(unknown);
+};
+
+// Renders body against variables. A placeholder with no value and no
+// default renders empty and is reported in `missing`.
+const render = (body, variables = {}) => {
+    const missing = new Set();
+    const text = body.replace(PLACEHOLDER_PATTERN, (match, expression) => {
+        const { key, filters } = parsePlaceholder(expression);
+        // Own properties only, so {{constructor}} is missing rather than a function
+        let value = Object.hasOwn(variables, key) ? variables[key] : undefined;
+        const hasDefault = filters.some(filter => filter.name === 'default');
+
+        if ((value === undefined || value === null || value === '') && !hasDefault) {
+            missing.add(key);
+            return '';
+        }
+
+        filters.forEach(filter => {
+            const helper = Object.hasOwn(HELPERS, filter.name) && HELPERS[filter.name];
+            if (helper) value = helper(value, filter.arg);
+        });
+        return value === undefined || value === null ? '' : String(value);
+    });
+
+    return { text, missing: Array.from(missing) };
+};
+
+// Variables for one recipient: template defaults < request-wide variables < contact fields
+const recipientVariables = (template, contact, variables = {}) => ({
+    ...(template.defaults || {}),
+    ...variables,
+    ...(contact && typeof contact === 'object' ? contact : { phone: contact })
+});
+
+// One rendered message per contact, as used by bulk sends and previews
+const renderForContacts = (template, contacts, variables = {}) =>
+    contacts.map(contact => {
+        const { text, missing } = render(template.body, recipientVariables(template, contact, variables));
+        return {
+            phone: contact && typeof contact === 'object' ? contact.phone : contact,
+            text,
+            missing
+        };
+    });
+
+const createTemplateStore = () => {
+    const store = createJsonStore('templates', { templates: [] });
+    const state = store.load();
+
+    const persist = () => store.save(state);
+
+    const get = (name) => state.templates.find(template => template.name === name) || null;
+
+    const validate = ({ body, defaults }) => {
+        if (!body || typeof body !== 'string') {
+            throw templateError('Template body is required', 'INVALID_TEMPLATE');
+        }
+        if (defaults !== undefined && (typeof defaults !== 'object' || Array.isArray(defaults) || defaults === null)) {
+            throw templateError('defaults must be an object of variable values', 'INVALID_TEMPLATE');
+        }
+        const unknown = unknownHelpers(body);
+        if (unknown.length > 0) {
+            throw templateError(`Unknown helpers: ${unknown.join(', ')}. Supported: ${Object.keys(HELPERS).join(', ')}`, 'INVALID_TEMPLATE');
+        }
+    };
+
+    const create = ({ name, body, defaults = {}, description = '' }) => {
+        if (!TEMPLATE_NAME_PATTERN.test(name || '')) {
+            throw templateError('Template name may only contain letters, numbers, "_" and "-" (max 64)', 'INVALID_TEMPLATE');
+        }
+        if (get(name)) {
+            throw templateError(`Template "${name}" already exists`, 'TEMPLATE_EXISTS');
+        }
+        validate({ body, defaults });
+
+        const now = new Date().toISOString();
+        const template = { name, body, defaults, description, createdAt: now, updatedAt: now };
+        state.templates.push(template);
+        persist();
+        logger.info('Template created', { template: name });
+        return template;
+    };
+
+    const update = (name, changes) => {
+        const template = get(name);
+        if (!template) return null;
+
+        const next = { ...template, name };
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value !== undefined) next[key] = value;
+        });
+        validate(next);
+        Object.assign(template, {
+            body: next.body,
+            defaults: next.defaults || {},
+            description: next.description || '',
+            updatedAt: new Date().toISOString()
+        });
+        persist();
+        return template;
+    };
+
+    const remove = (name) => {
+        const before = state.templates.length;
+        state.templates = state.templates.filter(template => template.name !== name);
+        if (state.templates.length === before) return false;
+        persist();
+        return true;
+    };
+
+    // Resolves a template by name or throws TEMPLATE_NOT_FOUND
+    const require = (name) => {
+        const template = get(name);
+        if (!template) {
+            throw templateError(`Template "${name}" not found`, 'TEMPLATE_NOT_FOUND');
+        }
+        return template;
+    };
+
+    return {
+        list: () => state.templates.slice(),
+        get,
+        require,
+        create,
+        update,
+        remove
+    };
+};
+
+module.exports = {
+    HELPERS,
+    createTemplateStore,
+    render,
+    renderForContacts,
+    recipientVariables,
+    templateError
+};
@@ -0,0 +1,126 @@
+// Request validation against the JSON Schema subset the route schemas use:
+// type, enum, required, properties, items, anyOf, min/maxLength, pattern,
+// minimum/maximum and min/maxItems. Unknown properties are allowed.
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array',
+    null: 'null'
+};
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    integer: (value) => Number.isInteger(value),
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    boolean: (value) => typeof value === 'boolean',
+    object: (value) => !!value && typeof value === 'object' && !Array.isArray(value),
+    array: (value) => Array.isArray(value),
+    null: (value) => value === null
+};
+
+const typesOf = (schema) => [].concat(schema.type || []);
+
+const matchesType = (schema, value) => {
+    const types = typesOf(schema);
+    return types.length === 0 || types.some(type => TYPE_CHECKS[type](value));
+};
+
+const describeTypes = (types) => types.map(type => TYPE_NAMES[type]).join(' or ');
+
+// Query strings, headers and multipart fields only carry text, so they are read
+// as the type the schema asks for: "true"/"1", "25", or JSON for objects and arrays
+const coerce = (schema, value) => {
+    if (typeof value !== 'string') return value;
+    const types = typesOf(schema);
+    if (types.length === 0 || types.includes('string')) return value;
+
+    if (types.includes('boolean') && ['true', '1', 'false', '0'].includes(value)) {
+        return value === 'true' || value === '1';
+    }
+    if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (types.includes('object') || types.includes('array')) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+    return value;
+};
+
+const fieldName = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+
+// Returns [{ field, message }] for every problem found; empty when value is valid.
+// coerceStrings reads string values as the schema's type first.
+const validateSchema = (schema, input, { path = '', coerceStrings = false } = {}) => {
+    const value = coerceStrings ? coerce(schema, input) : input;
+    const fail = (message) => [{ field: path, message }];
+
+    if (schema.anyOf) {
+        const branch = schema.anyOf.find(option => matchesType(option, value));
+        if (!branch) {
+            return fail(`must be ${describeTypes(schema.anyOf.flatMap(typesOf))}`);
+        }
+        return validateSchema(branch, value, { path, coerceStrings });
+    }
+
+    if (!matchesType(schema, value)) {
+        return fail(`must be ${describeTypes(typesOf(schema))}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return fail(`must match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            return value.flatMap((item, index) => validateSchema(schema.items, item, { path: fieldName(path, index), coerceStrings: false }));
+        }
+    }
+
+    // A required field that is null counts as missing; an optional null only
+    // passes when the schema's type allows it
+    if (TYPE_CHECKS.object(value)) {
+        const missing = (schema.required || []).filter(key => value[key] === undefined || value[key] === null);
+        const invalid = Object.entries(schema.properties || {})
+            .filter(([key]) => value[key] !== undefined && !missing.includes(key))
+            .flatMap(([key, property]) => validateSchema(property, value[key], { path: fieldName(path, key), coerceStrings }));
+        return [...missing.map(key => ({ field: fieldName(path, key), message: 'is required' })), ...invalid];
+    }
+
+    return [];
+};
+
+module.exports = { validateSchema };
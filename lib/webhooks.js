@@ -0,0 +1,261 @@
+// Outbound webhooks: signed JSON POSTs with retries and a delivery log
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { logger } = require('./logger');
+
+const WEBHOOK_EVENTS = [
+    'message',
+    'message_ack',
+    'message_revoke_everyone',
+    'group_join',
+    'group_leave',
+    'group_admin_changed',
+    'group_update',
+    'opt_out'
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const DELIVERY_LOG_LIMIT = 1000;
+
+// Receivers verify X-Webhook-Signature, which is
+// "sha256=" + HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${rawBody}`)
+const sign = (secret, timestamp, body) =>
+    'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const createWebhookDispatcher = () => {
+    const store = createJsonStore('webhooks', { hooks: [], deliveries: [] });
+    const state = store.load();
+
+    // Webhooks whose due deliveries are being attempted right now
+    const draining = new Set();
+    let timer = null;
+
+    const persist = () => store.save(state);
+
+    const backoff = (attempts) => Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+
+    const publicHook = (hook) => ({
+        id: hook.id,
+        url: hook.url,
+        events: hook.events,
+        active: hook.active,
+        createdAt: hook.createdAt,
+        updatedAt: hook.updatedAt
+    });
+
+    // Keep every pending entry; trim the oldest delivered ones first, then the
+    // oldest failed ones, so a receiver that stays down cannot grow the log forever
+    const trimLog = () => {
+        ['delivered', 'failed'].forEach(status => {
+            let excess = state.deliveries.length - DELIVERY_LOG_LIMIT;
+            if (excess <= 0) return;
+            state.deliveries = state.deliveries.filter(delivery => {
+                if (excess > 0 && delivery.status === status) {
+                    excess--;
+                    return false;
+                }
+                return true;
+            });
+        });
+    };
+
+    const scheduleNext = () => {
+        clearTimeout(timer);
+        timer = null;
+
+        const pending = state.deliveries.filter(delivery =>
+            delivery.status === 'pending' && !draining.has(delivery.webhookId));
+        if (pending.length === 0) return;
+
+        const soonest = Math.min(...pending.map(delivery => delivery.nextAttemptAt));
+        timer = setTimeout(drain, Math.max(soonest - Date.now(), 0));
+    };
+
+    // Deliveries of a removed webhook fail at once; there is nowhere to retry them
+    const abandon = (delivery) => Object.assign(delivery, { status: 'failed', lastError: 'Webhook was removed' });
+
+    const attempt = async (hook, delivery) => {
+        const body = JSON.stringify({
+            id: delivery.id,
+            event: delivery.event,
+            data: delivery.payload,
+            createdAt: delivery.createdAt
+        });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        const response = await fetch(hook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'whatsapp-server-webhooks/1.0',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': sign(hook.secret, timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        delivery.responseStatus = response.status;
+        if (!response.ok) {
+            throw new Error(`Receiver responded with HTTP ${response.status}`);
+        }
+    };
+
+    // One webhook's due deliveries go out in order, and the log is saved once
+    // they are all done
+    const drainHook = async (webhookId, due) => {
+        draining.add(webhookId);
+        try {
+            for (const delivery of due) {
+                const hook = state.hooks.find(h => h.id === webhookId);
+                if (!hook) {
+                    abandon(delivery);
+                    continue;
+                }
+                delivery.attempts++;
+                delivery.lastAttemptAt = new Date().toISOString();
+                try {
+                    await attempt(hook, delivery);
+                    delivery.status = 'delivered';
+                    delivery.lastError = null;
+                    delivery.deliveredAt = new Date().toISOString();
+                } catch (error) {
+                    delivery.lastError = error.message;
+                    if (delivery.attempts >= MAX_ATTEMPTS) {
+                        delivery.status = 'failed';
+                        logger.error('Webhook delivery failed permanently', { deliveryId: delivery.id, event: delivery.event, error: error.message });
+                    } else {
+                        delivery.nextAttemptAt = Date.now() + backoff(delivery.attempts);
+                        logger.warn('Webhook delivery failed, will retry', {
+                            deliveryId: delivery.id,
+                            attempt: delivery.attempts,
+                            maxAttempts: MAX_ATTEMPTS,
+                            error: error.message
+                        });
+                    }
+                }
+            }
+        } finally {
+            draining.delete(webhookId);
+            trimLog();
+            persist();
+            scheduleNext();
+        }
+    };
+
+    // Each webhook is drained on its own, so a slow receiver only delays its own deliveries
+    const drain = () => {
+        timer = null;
+        const now = Date.now();
+        const due = new Map();
+        state.deliveries
+            .filter(d => d.status === 'pending' && d.nextAttemptAt <= now && !draining.has(d.webhookId))
+            .forEach(d => due.set(d.webhookId, [...(due.get(d.webhookId) || []), d]));
+        due.forEach((deliveries, webhookId) => drainHook(webhookId, deliveries));
+        scheduleNext();
+    };
+
+    const queueDelivery = (hook, event, payload) => {
+        state.deliveries.push({
+            id: crypto.randomUUID(),
+            webhookId: hook.id,
+            event,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            responseStatus: null,
+            lastError: null,
+            createdAt: new Date().toISOString()
+        });
+    };
+
+    // Fan an event out to every active webhook subscribed to it
+    const dispatch = (event, payload) => {
+        const hooks = state.hooks.filter(hook => hook.active && hook.events.includes(event));
+        if (hooks.length === 0) return;
+
+        hooks.forEach(hook => queueDelivery(hook, event, payload));
+        trimLog();
+        persist();
+        scheduleNext();
+    };
+
+    const register = ({ url, events = WEBHOOK_EVENTS, secret }) => {
+        const now = new Date().toISOString();
+        const hook = {
+            id: crypto.randomUUID(),
+            url,
+            events,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            active: true,
+            createdAt: now,
+            updatedAt: now
+        };
+        state.hooks.push(hook);
+        persist();
+        logger.info('Webhook registered', { webhookId: hook.id, url, events });
+        return hook;
+    };
+
+    const update = (id, changes) => {
+        const hook = state.hooks.find(h => h.id === id);
+        if (!hook) return null;
+        ['url', 'events', 'active', 'secret'].forEach(key => {
+            if (changes[key] !== undefined) hook[key] = changes[key];
+        });
+        hook.updatedAt = new Date().toISOString();
+        persist();
+        return hook;
+    };
+
+    const remove = (id) => {
+        const before = state.hooks.length;
+        state.hooks = state.hooks.filter(h => h.id !== id);
+        if (state.hooks.length === before) return false;
+        state.deliveries
+            .filter(delivery => delivery.webhookId === id && delivery.status === 'pending')
+            .forEach(abandon);
+        persist();
+        return true;
+    };
+
+    const redeliver = (id) => {
+        const delivery = state.deliveries.find(d => d.id === id);
+        if (!delivery || delivery.status === 'pending') return null;
+
+        Object.assign(delivery, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            redeliveredAt: new Date().toISOString()
+        });
+        persist();
+        scheduleNext();
+        return delivery;
+    };
+
+    // Pick up retries that were waiting when the process last stopped
+    scheduleNext();
+
+    return {
+        events: WEBHOOK_EVENTS,
+        dispatch,
+        register,
+        update,
+        remove,
+        redeliver,
+        get: (id) => state.hooks.find(h => h.id === id) || null,
+        list: () => state.hooks.map(publicHook),
+        publicHook,
+        deliveries: ({ status, webhookId } = {}) => state.deliveries.filter(d =>
+            (!status || d.status === status) && (!webhookId || d.webhookId === webhookId))
+    };
+};
+
+module.exports = { WEBHOOK_EVENTS, createWebhookDispatcher, sign };
@@ -0,0 +1,48 @@
+// Admin endpoints for managing API keys
+const express = require('express');
+const { apiError, sendError } = require('../lib/errors');
+const { SCOPES } = require('../lib/api-keys');
+const { describeRoute } = require('../lib/openapi');
+
+const describe = (spec) => describeRoute({ tag: 'API keys', ...spec });
+
+const createKeySpec = describe({
+    summary: 'Create an API key; the key itself is only returned in this response',
+    status: 201,
+    body: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+            name: { type: 'string', maxLength: 100 },
+            scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: SCOPES } }
+        }
+    },
+    example: { name: 'loan-backend', scopes: ['send', 'bulk'] }
+});
+
+module.exports = ({ apiKeys, requireScope }) => {
+    const router = express.Router();
+
+    router.use('/api-keys', requireScope('admin'));
+
+    router.get('/api-keys', describe({ summary: 'List API keys and the available scopes' }), (req, res) => {
+        res.json({ success: true, scopes: SCOPES, keys: apiKeys.list() });
+    });
+
+    // The plain key is only ever returned in this response
+    router.post('/api-keys', createKeySpec, (req, res) => {
+        const { name, scopes } = req.body;
+        const { key, record } = apiKeys.create({ name: name.trim(), scopes });
+        res.status(201).json({ success: true, key, apiKey: apiKeys.publicKey(record) });
+    });
+
+    router.delete('/api-keys/:id', describe({ summary: 'Revoke an API key' }), (req, res) => {
+        const record = apiKeys.revoke(req.params.id);
+        if (!record) {
+            return sendError(res, apiError('API_KEY_NOT_FOUND', 'API key not found'));
+        }
+        res.json({ success: true, apiKey: apiKeys.publicKey(record) });
+    });
+
+    return router;
+};
@@ -0,0 +1,41 @@
+// Bulk campaign job endpoints: progress, pause, resume and cancel
+const express = require('express');
+const { apiError, sendError } = require('../lib/errors');
+const { describeRoute } = require('../lib/openapi');
+
+const describe = (spec) => describeRoute({ tag: 'Messaging', ...spec });
+
+module.exports = ({ bulkJobs, requireScope }) => {
+    const router = express.Router();
+
+    router.use('/bulk-jobs', requireScope('bulk'));
+
+    const withJob = (handler) => (req, res) => {
+        const job = bulkJobs.get(req.params.id);
+        if (!job) {
+            return sendError(res, apiError('BULK_JOB_NOT_FOUND', 'Bulk job not found'));
+        }
+        handler(job, req, res);
+    };
+
+    const transition = (action, verb) => withJob((job, req, res) => {
+        if (!bulkJobs[action](job)) {
+            return sendError(res, apiError('BULK_JOB_NOT_ACTIVE', `Bulk job is ${job.status} and cannot be ${verb}`));
+        }
+        res.json({ success: true, job: bulkJobs.describe(job, { includeResults: false }) });
+    });
+
+    router.get('/bulk-jobs', describe({ summary: 'List bulk jobs' }), (req, res) => {
+        res.json({ success: true, jobs: bulkJobs.list() });
+    });
+
+    router.get('/bulk-jobs/:id', describe({ summary: 'Bulk job progress, ETA and per-recipient results' }), withJob((job, req, res) => {
+        res.json({ success: true, job: bulkJobs.describe(job) });
+    }));
+
+    router.post('/bulk-jobs/:id/pause', describe({ summary: 'Pause a running bulk job' }), transition('pause', 'paused'));
+    router.post('/bulk-jobs/:id/resume', describe({ summary: 'Resume a paused bulk job' }), transition('resume', 'resumed'));
+    router.post('/bulk-jobs/:id/cancel', describe({ summary: 'Cancel a bulk job; recipients not yet sent are skipped' }), transition('cancel', 'cancelled'));
+
+    return router;
+};
@@ -0,0 +1,210 @@
+// Chat list and conversation history, for reviewing a customer's thread
+const express = require('express');
+const { resolveChatId } = require('../lib/phone');
+const { serializeChat, serializeHistoryMessage } = require('../lib/serializers');
+const { apiError, sendError } = require('../lib/errors');
+const { requireReady } = require('../lib/session-manager');
+const { COUNTRY, FLAG, describeRoute, paging } = require('../lib/openapi');
+
+const DEFAULT_CHAT_PAGE = 20;
+const MAX_CHAT_PAGE = 100;
+const DEFAULT_MESSAGE_PAGE = 50;
+const MAX_MESSAGE_PAGE = 100;
+// How far back a cursor is followed before giving up (WhatsApp Web loads history in chunks)
+const HISTORY_SCAN_LIMIT = 5000;
+
+const pageSize = (value, fallback, max) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+
+const isTrue = (value) => value === 'true' || value === '1';
+
+// Cursors are opaque to callers: base64url JSON of { before } (message id) or { page } (search)
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    if (!cursor) return {};
+    try {
+        const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (value && typeof value === 'object') return value;
+    } catch (e) {
+        // fall through
+    }
+    throw apiError('INVALID_CURSOR', 'cursor is not valid; pass nextCursor from a previous response');
+};
+
+// Messages older than `before`, newest first. fetchMessages only returns the
+// latest N messages, so the window is widened until it reaches past the cursor.
+const fetchHistory = async (chat, { limit, before, fromMe }) => {
+    let windowSize = limit + 1;
+    for (;;) {
+        const messages = await chat.fetchMessages({ limit: windowSize, fromMe });
+        const exhausted = messages.length < windowSize || windowSize >= HISTORY_SCAN_LIMIT;
+        const end = before ? messages.findIndex(msg => msg.id._serialized === before) : messages.length;
+
+        if (end === -1 && exhausted) {
+            throw apiError('INVALID_CURSOR', 'The cursor message is no longer in this chat\'s history');
+        }
+        if (end !== -1 && (end > limit || exhausted)) {
+            return {
+                messages: messages.slice(Math.max(end - limit, 0), end).reverse(),
+                hasMore: end > limit
+            };
+        }
+        windowSize = Math.min(windowSize * 2, HISTORY_SCAN_LIMIT);
+    }
+};
+
+const describe = (spec) => describeRoute({ tag: 'Chats', ...spec });
+
+const listChatsSpec = describe({
+    summary: 'List chats, filtered by type, unread, archived or name',
+    query: {
+        type: { type: 'string', enum: ['group', 'individual'] },
+        unread: FLAG,
+        archived: FLAG,
+        search: { type: 'string' },
+        ...paging(MAX_CHAT_PAGE)
+    }
+});
+
+const listMessagesSpec = describe({
+    summary: 'Message history, newest first, or a text search within the chat',
+    description: ':chatId is a phone number or chat id. Pass nextCursor back as cursor for the next page.',
+    query: {
+        limit: { type: 'integer', description: `Page size, at most ${MAX_MESSAGE_PAGE}` },
+        cursor: { type: 'string' },
+        fromMe: FLAG,
+        search: { type: 'string' },
+        country: COUNTRY
+    }
+});
+
+const downloadMediaSpec = describe({
+    summary: 'Download the media of a message',
+    description: 'Raw bytes with the media\'s content type, or JSON with base64 data when format=base64.',
+    query: { format: { type: 'string', enum: ['base64'] }, country: COUNTRY },
+    produces: 'application/octet-stream'
+});
+
+module.exports = ({ resolveSession, requireScope }) => {
+    const router = express.Router();
+
+    // getChatById fails or returns nothing for chats this account never had
+    const findChat = async (client, chatId) => {
+        let chat = null;
+        try {
+            chat = await client.getChatById(chatId);
+        } catch (e) {
+            chat = null;
+        }
+        if (!chat) throw apiError('CHAT_NOT_FOUND', `Chat ${chatId} not found`);
+        return chat;
+    };
+
+    // ?type=group|individual&unread=true&archived=true|false&search=ravi&limit=20&offset=0
+    const listChats = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const { type, unread, archived, search } = req.query;
+            const limit = pageSize(req.query.limit, DEFAULT_CHAT_PAGE, MAX_CHAT_PAGE);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const term = search ? String(search).trim().toLowerCase() : '';
+
+            const chats = (await client.getChats()).filter(chat => {
+                if (type && chat.isGroup !== (type === 'group')) return false;
+                if (isTrue(unread) && !(chat.unreadCount > 0)) return false;
+                if (archived !== undefined && !!chat.archived !== isTrue(archived)) return false;
+                if (term && !(chat.name || '').toLowerCase().includes(term) && !chat.id.user.includes(term)) return false;
+                return true;
+            });
+
+            res.json({
+                success: true,
+                total: chats.length,
+                limit,
+                offset,
+                chats: chats.slice(offset, offset + limit).map(serializeChat)
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+
+    // ?limit=50&cursor=<nextCursor>&fromMe=true|false, or ?search=emi for a text search
+    const listMessages = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const chatId = resolveChatId(req.params.chatId, { country: req.query.country });
+            const chat = await findChat(client, chatId);
+            const limit = pageSize(req.query.limit, DEFAULT_MESSAGE_PAGE, MAX_MESSAGE_PAGE);
+            const cursor = decodeCursor(req.query.cursor);
+
+            let messages;
+            let nextCursor = null;
+            if (req.query.search) {
+                const page = parseInt(cursor.page, 10) || 1;
+                messages = await client.searchMessages(String(req.query.search), { chatId: chat.id._serialized, page, limit });
+                if (messages.length === limit) nextCursor = encodeCursor({ page: page + 1 });
+            } else {
+                const fromMe = req.query.fromMe === undefined ? undefined : isTrue(req.query.fromMe);
+                const history = await fetchHistory(chat, { limit, before: cursor.before, fromMe });
+                messages = history.messages;
+                if (history.hasMore) nextCursor = encodeCursor({ before: messages[messages.length - 1].id._serialized });
+            }
+
+            res.json({
+                success: true,
+                chat: serializeChat(chat),
+                messages: messages.map(serializeHistoryMessage),
+                nextCursor
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+
+    // Raw bytes by default; ?format=base64 returns JSON instead
+    const downloadMedia = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const chatId = resolveChatId(req.params.chatId, { country: req.query.country });
+            // The resolved chat's own id, which is …@lid for chats WhatsApp keeps under a LID
+            const chat = await findChat(client, chatId);
+            const msg = await client.getMessageById(req.params.messageId).catch(() => null);
+            if (!msg || (msg.id.remote._serialized || msg.id.remote) !== chat.id._serialized) {
+                throw apiError('MESSAGE_NOT_FOUND', 'Message not found in this chat');
+            }
+            if (!msg.hasMedia) {
+                throw apiError('NO_MEDIA', 'This message has no media');
+            }
+
+            const media = await msg.downloadMedia();
+            if (!media) {
+                throw apiError('MEDIA_UNAVAILABLE', 'The media is no longer available from WhatsApp');
+            }
+
+            if (req.query.format === 'base64') {
+                return res.json({
+                    success: true,
+                    mimetype: media.mimetype,
+                    filename: media.filename || null,
+                    filesize: media.filesize || null,
+                    data: media.data
+                });
+            }
+            res.type(media.mimetype);
+            if (media.filename) res.attachment(media.filename);
+            res.send(Buffer.from(media.data, 'base64'));
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+
+    router.get('/chats', requireScope('read-chats'), resolveSession, listChatsSpec, listChats);
+    router.get('/chats/:chatId/messages', requireScope('read-chats'), resolveSession, listMessagesSpec, listMessages);
+    router.get('/chats/:chatId/messages/:messageId/media', requireScope('read-chats'), resolveSession, downloadMediaSpec, downloadMedia);
+    router.get('/sessions/:sessionId/chats', requireScope('read-chats'), resolveSession, listChatsSpec, listChats);
+    router.get('/sessions/:sessionId/chats/:chatId/messages', requireScope('read-chats'), resolveSession, listMessagesSpec, listMessages);
+    router.get('/sessions/:sessionId/chats/:chatId/messages/:messageId/media', requireScope('read-chats'), resolveSession, downloadMediaSpec, downloadMedia);
+
+    return router;
+};
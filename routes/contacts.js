@@ -0,0 +1,156 @@
+// Contact directory: search, profiles, WhatsApp checks and blocking
+const express = require('express');
+const { parsePhone, resolveChatId, resolveCountry } = require('../lib/phone');
+const { sendError } = require('../lib/errors');
+const { requireReady } = require('../lib/session-manager');
+const { COUNTRY, FLAG, PHONE, describeRoute, paging } = require('../lib/openapi');
+
+const DEFAULT_PAGE = 50;
+const MAX_PAGE = 200;
+const CHECK_LIMIT = 500;
+
+const isTrue = (value) => value === 'true' || value === '1';
+
+const describe = (spec) => describeRoute({ tag: 'Contacts', ...spec });
+
+const listContactsSpec = describe({
+    summary: 'Search the contact directory',
+    description: 'Cached per session; refresh=true reloads it from WhatsApp.',
+    query: {
+        search: { type: 'string' },
+        business: FLAG,
+        myContacts: FLAG,
+        blocked: FLAG,
+        label: { type: 'string', description: 'Label id (WhatsApp Business)' },
+        refresh: FLAG,
+        ...paging(MAX_PAGE)
+    }
+});
+
+const getContactSpec = describe({
+    summary: 'One contact\'s profile with about text, picture and labels',
+    description: ':id is a phone number or chat id (…@c.us, …@lid).',
+    query: { country: COUNTRY, refresh: FLAG }
+});
+
+const checkNumbersSpec = describe({
+    summary: 'Which numbers are on WhatsApp',
+    body: {
+        type: 'object',
+        required: ['numbers'],
+        properties: {
+            numbers: { type: 'array', minItems: 1, maxItems: CHECK_LIMIT, items: PHONE },
+            country: COUNTRY
+        }
+    },
+    example: { numbers: ['919876543210', '+91 98765 00000'] }
+});
+
+const COUNTRY_BODY = { type: 'object', properties: { country: COUNTRY } };
+const blockContactSpec = describe({ summary: 'Block a contact', body: COUNTRY_BODY });
+const unblockContactSpec = describe({ summary: 'Unblock a contact', body: COUNTRY_BODY });
+
+module.exports = ({ contacts, resolveSession, requireScope }) => {
+    const router = express.Router();
+
+    // ?search=ravi&business=true&myContacts=true&blocked=false&label=3&limit=50&offset=0&refresh=true
+    const listContacts = async (req, res) => {
+        try {
+            const session = requireReady(req.waSession);
+            const { search, business, myContacts, blocked, label } = req.query;
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE, 1), MAX_PAGE);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const term = search ? String(search).trim().toLowerCase() : '';
+
+            const directory = await contacts.list(session, { refresh: isTrue(req.query.refresh) });
+            const matches = directory.contacts.filter(contact => {
+                if (business !== undefined && contact.isBusiness !== isTrue(business)) return false;
+                if (myContacts !== undefined && contact.isMyContact !== isTrue(myContacts)) return false;
+                if (blocked !== undefined && contact.isBlocked !== isTrue(blocked)) return false;
+                if (label && !contact.labels.includes(String(label))) return false;
+                if (term && ![contact.name, contact.pushname, contact.number]
+                    .some(value => value && value.toLowerCase().includes(term))) return false;
+                return true;
+            });
+
+            res.json({
+                success: true,
+                total: matches.length,
+                limit,
+                offset,
+                cached: directory.cached,
+                fetchedAt: directory.fetchedAt,
+                contacts: matches.slice(offset, offset + limit)
+            });
+        } catch (error) {
+            sendError(res, error, 'CONTACT_ERROR');
+        }
+    };
+
+    // :id is a phone number or a chat id (91…@c.us, …@lid); ?refresh=true skips the cache
+    const getContact = async (req, res) => {
+        try {
+            const session = requireReady(req.waSession);
+            const chatId = resolveChatId(req.params.id, { country: req.query.country });
+            const contact = await contacts.get(session, chatId, { refresh: isTrue(req.query.refresh) });
+            res.json({ success: true, contact });
+        } catch (error) {
+            sendError(res, error, 'CONTACT_ERROR');
+        }
+    };
+
+    // {"numbers": ["+91 98765 43210", "9876500000"], "country": "IN"}
+    const checkNumbers = async (req, res) => {
+        try {
+            const session = requireReady(req.waSession);
+            const { numbers } = req.body;
+            const country = resolveCountry(req.body.country);
+
+            const results = [];
+            for (const input of numbers) {
+                try {
+                    const { e164, chatId } = parsePhone(input, { country });
+                    results.push({ input: String(input), e164, chatId, onWhatsApp: await contacts.isRegistered(session, chatId) });
+                } catch (error) {
+                    if (!error.errorCode) req.log.error('isRegisteredUser failed', { session: session.id, phone: String(input), error: error.message });
+                    results.push({ input: String(input), onWhatsApp: null, error: error.message, errorCode: error.errorCode || 'CHECK_FAILED' });
+                }
+            }
+
+            res.json({
+                success: true,
+                checked: results.filter(result => result.onWhatsApp !== null).length,
+                onWhatsApp: results.filter(result => result.onWhatsApp === true).length,
+                results
+            });
+        } catch (error) {
+            sendError(res, error, 'CONTACT_ERROR');
+        }
+    };
+
+    const setBlocked = (blocked) => async (req, res) => {
+        try {
+            const session = requireReady(req.waSession);
+            const chatId = resolveChatId(req.params.id, { country: req.body.country });
+            const contact = await contacts.setBlocked(session, chatId, blocked);
+            res.json({ success: true, contact });
+        } catch (error) {
+            sendError(res, error, 'CONTACT_ERROR');
+        }
+    };
+    const blockContact = setBlocked(true);
+    const unblockContact = setBlocked(false);
+
+    router.get('/contacts', requireScope('read-chats'), resolveSession, listContactsSpec, listContacts);
+    router.post('/contacts/check', requireScope('send'), resolveSession, checkNumbersSpec, checkNumbers);
+    router.get('/contacts/:id', requireScope('read-chats'), resolveSession, getContactSpec, getContact);
+    router.post('/contacts/:id/block', requireScope('admin'), resolveSession, blockContactSpec, blockContact);
+    router.post('/contacts/:id/unblock', requireScope('admin'), resolveSession, unblockContactSpec, unblockContact);
+    router.get('/sessions/:sessionId/contacts', requireScope('read-chats'), resolveSession, listContactsSpec, listContacts);
+    router.post('/sessions/:sessionId/contacts/check', requireScope('send'), resolveSession, checkNumbersSpec, checkNumbers);
+    router.get('/sessions/:sessionId/contacts/:id', requireScope('read-chats'), resolveSession, getContactSpec, getContact);
+    router.post('/sessions/:sessionId/contacts/:id/block', requireScope('admin'), resolveSession, blockContactSpec, blockContact);
+    router.post('/sessions/:sessionId/contacts/:id/unblock', requireScope('admin'), resolveSession, unblockContactSpec, unblockContact);
+
+    return router;
+};
@@ -0,0 +1,74 @@
+// Live event stream (Server-Sent Events) with per-event scopes
+const express = require('express');
+const { EVENT_SCOPES } = require('../lib/event-stream');
+const { apiError, sendError } = require('../lib/errors');
+const { describeRoute } = require('../lib/openapi');
+
+const streamSpec = describeRoute({
+    tag: 'Events',
+    summary: 'Server-Sent Events stream of lifecycle, QR, message, ack and bulk-job events',
+    description: 'Events the API key has no scope for are left out. Browsers cannot set headers on an EventSource, so they pass the key as apiKey.',
+    query: {
+        types: { type: 'string', description: `Comma-separated; any of ${Object.keys(EVENT_SCOPES).join(', ')}` },
+        session: { type: 'string', description: 'Only this session\'s events' },
+        apiKey: { type: 'string' }
+    },
+    produces: 'text/event-stream'
+});
+
+// Current state of a session, sent first so a new subscriber needs no /status call
+const snapshot = (session, includeQr) => ({
+    sessionId: session.id,
+    connected: session.isAuthenticated || session.isReady,
+    ready: session.isReady,
+    authenticated: session.isAuthenticated,
+    hasQR: !!session.qrCode,
+    qrCode: includeQr ? session.qrCode : undefined
+});
+
+module.exports = ({ eventStream, sessions, authenticateQuery, hasScope, requireScope }) => {
+    const router = express.Router();
+
+    // ?types=qr,ready,message&session=default - every permitted event of every
+    // session when omitted
+    const streamEvents = (req, res) => {
+        const requested = req.query.types
+            ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+            : null;
+
+        const unknown = (requested || []).filter(type => !Object.hasOwn(EVENT_SCOPES, type));
+        if (unknown.length > 0) {
+            return sendError(res, apiError(
+                'UNKNOWN_EVENT',
+                `Unknown event type(s): ${unknown.join(', ')}. Available: ${Object.keys(EVENT_SCOPES).join(', ')}`
+            ));
+        }
+
+        const denied = (requested || []).filter(type => !hasScope(req.apiKey, EVENT_SCOPES[type]));
+        if (denied.length > 0) {
+            return sendError(res, apiError(
+                'FORBIDDEN',
+                `This API key cannot subscribe to: ${denied.map(type => `${type} (needs "${EVENT_SCOPES[type]}")`).join(', ')}`
+            ));
+        }
+
+        const sessionId = req.params.sessionId || req.query.session || null;
+        const session = sessionId && sessions.get(sessionId);
+        if (sessionId && !session) {
+            return sendError(res, apiError('SESSION_NOT_FOUND', `Session "${sessionId}" not found`));
+        }
+
+        const types = (requested || Object.keys(EVENT_SCOPES)).filter(type => hasScope(req.apiKey, EVENT_SCOPES[type]));
+        const subscription = eventStream.subscribe(res, { types, sessionId });
+        if (types.includes('status')) {
+            (session ? [session] : sessions.list()).forEach(target => {
+                subscription.send('status', snapshot(target, types.includes('qr')));
+            });
+        }
+    };
+
+    router.get('/events', authenticateQuery, requireScope(null), streamSpec, streamEvents);
+    router.get('/sessions/:sessionId/events', authenticateQuery, requireScope(null), streamSpec, streamEvents);
+
+    return router;
+};
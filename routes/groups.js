@@ -0,0 +1,249 @@
+// Group management: list, create, participants, subject/description and invite links
+const express = require('express');
+const { resolveChatId } = require('../lib/phone');
+const { serializeGroup } = require('../lib/serializers');
+const { apiError, sendError } = require('../lib/errors');
+const { requireReady } = require('../lib/session-manager');
+const { COUNTRY, PHONE, describeRoute, paging } = require('../lib/openapi');
+
+const DEFAULT_PAGE = 50;
+const MAX_PAGE = 200;
+const MAX_PARTICIPANTS_PER_REQUEST = 50;
+const INVITE_LINK_PREFIX = 'https://chat.whatsapp.com/';
+const PARTICIPANT_ACTIONS = {
+    add: 'addParticipants',
+    remove: 'removeParticipants',
+    promote: 'promoteParticipants',
+    demote: 'demoteParticipants'
+};
+
+const PARTICIPANTS = { type: 'array', minItems: 1, maxItems: MAX_PARTICIPANTS_PER_REQUEST, items: PHONE };
+
+const describe = (spec) => describeRoute({ tag: 'Groups', ...spec });
+
+const listGroupsSpec = describe({
+    summary: 'List groups with their participants',
+    description: 'Send to a group with /send and its id (…@g.us) as phone.',
+    query: { search: { type: 'string' }, ...paging(MAX_PAGE) }
+});
+const getGroupSpec = describe({ summary: 'One group, with whether this account is an admin' });
+const createGroupSpec = describe({
+    summary: 'Create a group',
+    status: 201,
+    body: {
+        type: 'object',
+        required: ['name', 'participants'],
+        properties: { name: { type: 'string', maxLength: 100 }, participants: PARTICIPANTS, country: COUNTRY }
+    },
+    example: { name: 'Pune Branch - Collections', participants: ['919876543210'] }
+});
+const updateGroupSpec = describe({
+    summary: 'Change the subject or description of a group',
+    body: {
+        type: 'object',
+        properties: { subject: { type: 'string', minLength: 1, maxLength: 100 }, description: { type: 'string' } }
+    },
+    example: { subject: 'Pune Branch', description: 'Collections team' }
+});
+const changeParticipantsSpec = describe({
+    summary: 'Add, remove, promote or demote participants (admin of the group only)',
+    description: `:action is one of ${Object.keys(PARTICIPANT_ACTIONS).join(', ')}.`,
+    body: {
+        type: 'object',
+        required: ['participants'],
+        properties: { participants: PARTICIPANTS, country: COUNTRY }
+    },
+    example: { participants: ['919876511111'] }
+});
+const getInviteSpec = describe({ summary: 'The group\'s invite link (admin of the group only)' });
+const revokeInviteSpec = describe({ summary: 'Revoke the invite link and get a new one' });
+
+const notAdminError = () => apiError('NOT_GROUP_ADMIN', 'This account is not an admin of the group');
+
+// Group ids may be given with or without the @g.us suffix
+const toGroupId = (value) => {
+    const id = String(value).trim();
+    const groupId = id.includes('@') ? id : `${id}@g.us`;
+    if (!/^[\d-]+@g\.us$/.test(groupId)) {
+        throw apiError('INVALID_GROUP_ID', `"${value}" is not a group id (expected digits@g.us)`);
+    }
+    return groupId;
+};
+
+module.exports = ({ resolveSession, requireScope }) => {
+    const router = express.Router();
+
+    const findGroup = async (client, value) => {
+        const groupId = toGroupId(value);
+        const chat = await client.getChatById(groupId).catch(() => null);
+        if (!chat || !chat.isGroup) throw apiError('GROUP_NOT_FOUND', `Group ${groupId} not found`);
+        return chat;
+    };
+
+    // WhatsApp Web's own check; it accounts for LID-addressed groups
+    const iAmAdmin = (client, chat) => client.pupPage.evaluate(async (groupId) => {
+        const wid = window.Store.WidFactory.createWid(groupId);
+        const group = window.Store.Chat.get(wid) || (await window.Store.Chat.find(wid));
+        return !!group && group.iAmAdmin();
+    }, chat.id._serialized);
+
+    const requireAdmin = async (client, chat) => {
+        if (!(await iAmAdmin(client, chat))) throw notAdminError();
+    };
+
+    const participantIds = (participants, country) => participants.map(participant => resolveChatId(participant, { country }));
+
+    // ?search=branch&limit=50&offset=0
+    const listGroups = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE, 1), MAX_PAGE);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const term = req.query.search ? String(req.query.search).trim().toLowerCase() : '';
+
+            const groups = (await client.getChats())
+                .filter(chat => chat.isGroup && (!term || (chat.name || '').toLowerCase().includes(term)));
+            res.json({
+                success: true,
+                total: groups.length,
+                limit,
+                offset,
+                groups: groups.slice(offset, offset + limit).map(serializeGroup)
+            });
+        } catch (error) {
+            sendError(res, error, 'GROUP_ERROR');
+        }
+    };
+
+    const getGroup = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const chat = await findGroup(client, req.params.groupId);
+            res.json({ success: true, group: { ...serializeGroup(chat), iAmAdmin: await iAmAdmin(client, chat) } });
+        } catch (error) {
+            sendError(res, error, 'GROUP_ERROR');
+        }
+    };
+
+    // {"name": "Pune Branch - Collections", "participants": ["919876543210", "919876500000"]}
+    const createGroup = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const { name, participants, country } = req.body;
+            const result = await client.createGroup(name, participantIds(participants, country));
+            // The library reports failures as a string
+            if (typeof result === 'string') throw apiError('GROUP_CREATE_FAILED', result);
+
+            const groupId = result.gid._serialized;
+            req.log.info('Group created', { session: req.waSession.id, groupId, name });
+            res.status(201).location(`/groups/${groupId}`).json({
+                success: true,
+                groupId,
+                name: result.title,
+                participants: result.participants
+            });
+        } catch (error) {
+            sendError(res, error, 'GROUP_ERROR');
+        }
+    };
+
+    // {"subject": "...", "description": "..."}; WhatsApp refuses this to non-admins
+    // when the group only lets admins edit its info
+    const updateGroup = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const { subject, description } = req.body;
+            if (subject === undefined && description === undefined) {
+                throw apiError('INVALID_GROUP', 'subject or description is required');
+            }
+            if (subject !== undefined && !subject.trim()) {
+                throw apiError('INVALID_GROUP', 'subject must not be blank');
+            }
+            const chat = await findGroup(client, req.params.groupId);
+
+            const updated = (subject === undefined || await chat.setSubject(subject))
+                && (description === undefined || await chat.setDescription(description));
+            if (!updated) {
+                if (!(await iAmAdmin(client, chat))) throw notAdminError();
+                throw apiError('GROUP_UPDATE_FAILED', 'WhatsApp rejected the group update');
+            }
+            res.json({ success: true, group: serializeGroup(await findGroup(client, req.params.groupId)) });
+        } catch (error) {
+            sendError(res, error, 'GROUP_ERROR');
+        }
+    };
+
+    // /groups/:groupId/participants/add|remove|promote|demote with {"participants": [...]}
+    const changeParticipants = async (req, res) => {
+        try {
+            const method = Object.hasOwn(PARTICIPANT_ACTIONS, req.params.action) && PARTICIPANT_ACTIONS[req.params.action];
+            if (!method) {
+                throw apiError('UNKNOWN_ACTION', `Unknown action "${req.params.action}"; use ${Object.keys(PARTICIPANT_ACTIONS).join(', ')}`);
+            }
+            const { client } = requireReady(req.waSession);
+            const ids = participantIds(req.body.participants, req.body.country);
+            const chat = await findGroup(client, req.params.groupId);
+            await requireAdmin(client, chat);
+
+            const result = await chat[method](ids);
+            if (typeof result === 'string') {
+                throw result.includes('admin') ? notAdminError() : apiError('GROUP_UPDATE_FAILED', result);
+            }
+
+            req.log.info('Group participants updated', { session: req.waSession.id, groupId: chat.id._serialized, action: req.params.action, participants: ids });
+            res.json({
+                success: true,
+                action: req.params.action,
+                groupId: chat.id._serialized,
+                participants: ids,
+                // Per-participant codes from WhatsApp (adds only), e.g. 403 = invite sent instead
+                results: req.params.action === 'add' ? result : undefined
+            });
+        } catch (error) {
+            sendError(res, error, 'GROUP_ERROR');
+        }
+    };
+
+    const getInvite = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const chat = await findGroup(client, req.params.groupId);
+            const code = await chat.getInviteCode();
+            if (!code) throw notAdminError();
+            res.json({ success: true, groupId: chat.id._serialized, code, link: INVITE_LINK_PREFIX + code });
+        } catch (error) {
+            sendError(res, error, 'GROUP_ERROR');
+        }
+    };
+
+    // The old link stops working at once
+    const revokeInvite = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const chat = await findGroup(client, req.params.groupId);
+            await requireAdmin(client, chat);
+            const code = await chat.revokeInvite();
+            req.log.info('Group invite link revoked', { session: req.waSession.id, groupId: chat.id._serialized });
+            res.json({ success: true, groupId: chat.id._serialized, code, link: INVITE_LINK_PREFIX + code });
+        } catch (error) {
+            sendError(res, error, 'GROUP_ERROR');
+        }
+    };
+
+    router.get('/groups', requireScope('read-chats'), resolveSession, listGroupsSpec, listGroups);
+    router.post('/groups', requireScope('admin'), resolveSession, createGroupSpec, createGroup);
+    router.get('/groups/:groupId', requireScope('read-chats'), resolveSession, getGroupSpec, getGroup);
+    router.put('/groups/:groupId', requireScope('admin'), resolveSession, updateGroupSpec, updateGroup);
+    router.post('/groups/:groupId/participants/:action', requireScope('admin'), resolveSession, changeParticipantsSpec, changeParticipants);
+    router.get('/groups/:groupId/invite', requireScope('admin'), resolveSession, getInviteSpec, getInvite);
+    router.post('/groups/:groupId/invite/revoke', requireScope('admin'), resolveSession, revokeInviteSpec, revokeInvite);
+    router.get('/sessions/:sessionId/groups', requireScope('read-chats'), resolveSession, listGroupsSpec, listGroups);
+    router.post('/sessions/:sessionId/groups', requireScope('admin'), resolveSession, createGroupSpec, createGroup);
+    router.get('/sessions/:sessionId/groups/:groupId', requireScope('read-chats'), resolveSession, getGroupSpec, getGroup);
+    router.put('/sessions/:sessionId/groups/:groupId', requireScope('admin'), resolveSession, updateGroupSpec, updateGroup);
+    router.post('/sessions/:sessionId/groups/:groupId/participants/:action', requireScope('admin'), resolveSession, changeParticipantsSpec, changeParticipants);
+    router.get('/sessions/:sessionId/groups/:groupId/invite', requireScope('admin'), resolveSession, getInviteSpec, getInvite);
+    router.post('/sessions/:sessionId/groups/:groupId/invite/revoke', requireScope('admin'), resolveSession, revokeInviteSpec, revokeInvite);
+
+    return router;
+};
@@ -0,0 +1,222 @@
+// Actions on existing messages: reply, react, edit, delete for everyone, forward
+const express = require('express');
+const { apiError, classifySendError, sendError, sendFailure } = require('../lib/errors');
+const { toChatId } = require('../lib/phone');
+const { requireReady } = require('../lib/session-manager');
+const { COUNTRY, FLAG, PHONE, describeRoute } = require('../lib/openapi');
+
+const MAX_FORWARD_TARGETS = 20;
+
+const describe = (spec) => describeRoute({
+    tag: 'Messages',
+    description: ':id is a serialized id from the chat history, or the messageId or queue id of a message this server sent.',
+    ...spec
+});
+
+const TEXT_BODY = {
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string', minLength: 1 } }
+};
+
+const replySpec = describe({
+    summary: 'Reply quoting a message; queued like /send',
+    status: 202,
+    body: TEXT_BODY,
+    example: { message: 'Thanks, your payment is received' }
+});
+const reactSpec = describe({
+    summary: 'React with an emoji; an empty string removes the reaction',
+    body: { type: 'object', required: ['emoji'], properties: { emoji: { type: 'string', maxLength: 16 } } },
+    example: { emoji: '👍' }
+});
+const editSpec = describe({
+    summary: 'Edit a message this account sent, within WhatsApp\'s edit window',
+    body: TEXT_BODY,
+    example: { message: 'Corrected text' }
+});
+const removeSpec = describe({
+    summary: 'Delete a message for everyone, or only for this account with forEveryone=false',
+    query: { forEveryone: FLAG }
+});
+const forwardSpec = describe({
+    summary: 'Forward a message to other chats at once, within the rate limits',
+    body: {
+        type: 'object',
+        required: ['to'],
+        properties: {
+            to: { anyOf: [PHONE, { type: 'array', minItems: 1, maxItems: MAX_FORWARD_TARGETS, items: PHONE }] },
+            country: COUNTRY
+        }
+    },
+    example: { to: ['919876500000'] }
+});
+
+const remoteOf = (msg) => msg.id.remote._serialized || msg.id.remote;
+
+module.exports = ({ messageTracker, sendPipeline, resolveSession, requireScope }) => {
+    const router = express.Router();
+
+    // Our own codes pass through; WhatsApp failures get the same errorCode
+    // mapping as queued sends
+    const sendActionError = (res, error) => {
+        if (!error.errorCode) res.req.log.error('Message action failed', { error });
+        sendError(res, sendFailure(error));
+    };
+
+    // :id is the serialized id from the chat history ("true_91…@c.us_3EB0…"),
+    // or the messageId / queue id returned for a message this server sent.
+    // Tracked messages keep the serialized id WhatsApp gave them, which is the
+    // only right one for LID and group chats; records from before that was
+    // stored fall back to rebuilding it from the phone.
+    const findMessage = async (client, id) => {
+        let serialized = id;
+        if (!id.includes('_')) {
+            const record = messageTracker.get(id);
+            if (record && record.serializedId) serialized = record.serializedId;
+            else if (record && record.phone) serialized = `true_${record.phone}_${record.messageId}`;
+        }
+        const msg = await client.getMessageById(serialized).catch(() => null);
+        if (!msg) throw apiError('MESSAGE_NOT_FOUND', 'Message not found');
+        return msg;
+    };
+
+    // Replies to someone behind a LID go to their number, so opt-outs and
+    // per-recipient limits apply as they do for /send
+    const replyTarget = async (session, msg) => {
+        const remote = remoteOf(msg);
+        if (!remote.endsWith('@lid')) return remote;
+        const contact = await msg.getContact().catch(() => null);
+        return contact && contact.number ? toChatId(contact.number) : sendPipeline.resolveRecipient(session, remote);
+    };
+
+    // whatsapp-web.js falls back to "delete for me" when a revoke is not
+    // allowed, so the same check WhatsApp Web uses is made first
+    const canRevoke = (client, msg) => client.pupPage.evaluate((msgId) => {
+        const model = window.Store.Msg.get(msgId);
+        return !!model && (window.Store.MsgActionChecks.canSenderRevokeMsg(model)
+            || window.Store.MsgActionChecks.canAdminRevokeMsg(model));
+    }, msg.id._serialized);
+
+    // {"message": "Your payment is received"} - queued like /send, quoting the original
+    const reply = async (req, res) => {
+        try {
+            const { message } = req.body;
+            const msg = await findMessage(requireReady(req.waSession).client, req.params.id);
+            const job = sendPipeline.enqueue({
+                sessionId: req.waSession.id,
+                phone: await replyTarget(req.waSession, msg),
+                message,
+                quotedMessageId: msg.id._serialized
+            });
+            req.log.info('Reply queued', { session: req.waSession.id, jobId: job.id, quotedMessageId: msg.id.id });
+
+            res.status(202).json({
+                success: true,
+                queued: true,
+                id: job.id,
+                status: job.status,
+                phone: job.phone,
+                session: req.waSession.id,
+                quotedMessageId: job.quotedMessageId,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            sendActionError(res, error);
+        }
+    };
+
+    // {"emoji": "👍"}; an empty string removes our reaction
+    const react = async (req, res) => {
+        try {
+            const { emoji } = req.body;
+            const msg = await findMessage(requireReady(req.waSession).client, req.params.id);
+            await msg.react(emoji);
+            res.json({ success: true, id: msg.id._serialized, reaction: emoji || null });
+        } catch (error) {
+            sendActionError(res, error);
+        }
+    };
+
+    // {"message": "corrected text"} - only our own text messages and captions,
+    // within WhatsApp's edit window
+    const edit = async (req, res) => {
+        try {
+            const { message } = req.body;
+            const msg = await findMessage(requireReady(req.waSession).client, req.params.id);
+            if (!msg.fromMe) {
+                throw apiError('NOT_OWN_MESSAGE', 'Only messages sent from this account can be edited');
+            }
+            const edited = await msg.edit(message);
+            if (!edited) {
+                throw apiError('EDIT_NOT_ALLOWED', 'This message can no longer be edited');
+            }
+            res.json({ success: true, id: msg.id._serialized, message: edited.body });
+        } catch (error) {
+            sendActionError(res, error);
+        }
+    };
+
+    // Deletes for everyone unless ?forEveryone=false
+    const remove = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const forEveryone = !['false', '0'].includes(req.query.forEveryone);
+            const msg = await findMessage(client, req.params.id);
+            if (forEveryone && !(await canRevoke(client, msg))) {
+                throw apiError(
+                    'REVOKE_NOT_ALLOWED',
+                    'This message cannot be deleted for everyone (not ours, or too old); use ?forEveryone=false to delete it for this account only'
+                );
+            }
+            await msg.delete(forEveryone);
+            res.json({ success: true, id: msg.id._serialized, deletedForEveryone: forEveryone });
+        } catch (error) {
+            sendActionError(res, error);
+        }
+    };
+
+    // {"to": ["919876543210", "1203…@g.us"]}. Forwards go out at once but still
+    // count against the rate limits and skip opted-out numbers.
+    const forward = async (req, res) => {
+        try {
+            const { client } = requireReady(req.waSession);
+            const targets = [].concat(req.body.to);
+            const msg = await findMessage(client, req.params.id);
+            const sessionId = req.waSession.id;
+
+            const results = [];
+            for (const target of targets) {
+                try {
+                    const chatId = await sendPipeline.resolveRecipient(req.waSession, target, { country: req.body.country });
+                    sendPipeline.admit(sessionId, chatId);
+                    await sendPipeline.pace(sessionId);
+                    await msg.forward(chatId);
+                    results.push({ to: String(target), chatId, success: true });
+                } catch (error) {
+                    const { error: message, errorCode } = classifySendError(error);
+                    results.push({ to: String(target), success: false, error: message, errorCode });
+                }
+            }
+
+            const forwarded = results.filter(result => result.success).length;
+            req.log.info('Message forwarded', { session: sessionId, messageId: msg.id.id, forwarded, chats: results.length });
+            res.status(forwarded > 0 ? 200 : 422).json({ success: forwarded > 0, id: msg.id._serialized, forwarded, results });
+        } catch (error) {
+            sendActionError(res, error);
+        }
+    };
+
+    router.post('/messages/:id/reply', requireScope('send'), resolveSession, replySpec, reply);
+    router.post('/messages/:id/react', requireScope('send'), resolveSession, reactSpec, react);
+    router.post('/messages/:id/forward', requireScope('send'), resolveSession, forwardSpec, forward);
+    router.put('/messages/:id', requireScope('send'), resolveSession, editSpec, edit);
+    router.delete('/messages/:id', requireScope('send'), resolveSession, removeSpec, remove);
+    router.post('/sessions/:sessionId/messages/:id/reply', requireScope('send'), resolveSession, replySpec, reply);
+    router.post('/sessions/:sessionId/messages/:id/react', requireScope('send'), resolveSession, reactSpec, react);
+    router.post('/sessions/:sessionId/messages/:id/forward', requireScope('send'), resolveSession, forwardSpec, forward);
+    router.put('/sessions/:sessionId/messages/:id', requireScope('send'), resolveSession, editSpec, edit);
+    router.delete('/sessions/:sessionId/messages/:id', requireScope('send'), resolveSession, removeSpec, remove);
+
+    return router;
+};
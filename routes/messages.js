@@ -0,0 +1,45 @@
+// Delivery and read receipt lookups for outbound messages
+const express = require('express');
+const { apiError, sendError } = require('../lib/errors');
+const { describeRoute } = require('../lib/openapi');
+
+const MAX_BATCH_IDS = 500;
+
+const describe = (spec) => describeRoute({ tag: 'Messages', ...spec });
+
+const batchStatusSpec = describe({
+    summary: 'Delivery status of several messages at once',
+    body: {
+        type: 'object',
+        required: ['ids'],
+        properties: {
+            ids: { type: 'array', minItems: 1, maxItems: MAX_BATCH_IDS, items: { type: 'string' } }
+        }
+    },
+    example: { ids: ['3EB0C767D26A1D5A8B4F', '3EB0A1B2C3D4E5F60718'] }
+});
+
+module.exports = ({ messageTracker, requireScope }) => {
+    const router = express.Router();
+
+    router.use('/messages', requireScope('send'));
+
+    // Batch lookup: {"ids": ["3EB0...", "<queue id>", ...]}
+    router.post('/messages/status', batchStatusSpec, (req, res) => {
+        res.json({ success: true, messages: messageTracker.getMany(req.body.ids) });
+    });
+
+    // Accepts either the WhatsApp messageId or the queue job id returned by /send
+    router.get('/messages/:id', describe({
+        summary: 'Delivery status (pending, server, device, read, played) by messageId or queue id'
+    }), (req, res) => {
+        const record = messageTracker.get(req.params.id);
+        if (!record) {
+            return sendError(res, apiError('MESSAGE_NOT_FOUND', 'No tracked message with this id'));
+        }
+
+        res.json({ success: true, message: record });
+    });
+
+    return router;
+};
@@ -0,0 +1,77 @@
+// Phone number validation: normalized form, country and WhatsApp registration
+const express = require('express');
+const { parsePhone, resolveCountry } = require('../lib/phone');
+const { apiError, sendError } = require('../lib/errors');
+const { COUNTRY, PHONE, describeRoute } = require('../lib/openapi');
+
+const VALIDATE_LIMIT = 100;
+
+const validateNumbersSpec = describeRoute({
+    tag: 'Contacts',
+    summary: 'Normalize numbers to E.164 and report country, type and whether they are on WhatsApp',
+    body: {
+        type: 'object',
+        properties: {
+            phone: PHONE,
+            numbers: { type: 'array', minItems: 1, maxItems: VALIDATE_LIMIT, items: PHONE },
+            country: COUNTRY
+        }
+    },
+    example: { numbers: ['+91 98765 43210', '09876543210', '+1 415 555 2671'], country: 'IN' }
+});
+
+module.exports = ({ contacts, resolveSession, requireScope }) => {
+    const router = express.Router();
+
+    // {"numbers": ["+91 98765 43210", "04155552671"], "country": "IN"} or {"phone": "..."}
+    const validateNumbers = async (req, res) => {
+        const { phone, country } = req.body;
+        const numbers = req.body.numbers || (phone !== undefined ? [phone] : null);
+        if (!numbers) {
+            return sendError(res, apiError('INVALID_REQUEST', 'phone or a numbers array is required'));
+        }
+
+        let defaultCountry;
+        try {
+            defaultCountry = resolveCountry(country);
+        } catch (error) {
+            return sendError(res, error);
+        }
+
+        const { client, isReady } = req.waSession;
+        const canCheck = !!(isReady && client);
+        const results = [];
+
+        for (const input of numbers) {
+            let parsed;
+            try {
+                parsed = parsePhone(input, { country: defaultCountry });
+            } catch (error) {
+                results.push({ input: String(input), valid: false, error: error.message, errorCode: error.errorCode });
+                continue;
+            }
+
+            let onWhatsApp = null;
+            if (canCheck) {
+                try {
+                    onWhatsApp = await contacts.isRegistered(req.waSession, parsed.chatId);
+                } catch (error) {
+                    req.log.error('isRegisteredUser failed', { session: req.waSession.id, phone: parsed.e164, error: error.message });
+                }
+            }
+            results.push({ ...parsed, valid: true, onWhatsApp });
+        }
+
+        res.json({
+            success: true,
+            defaultCountry,
+            whatsappChecked: canCheck,
+            results
+        });
+    };
+
+    router.post('/numbers/validate', requireScope('send'), resolveSession, validateNumbersSpec, validateNumbers);
+    router.post('/sessions/:sessionId/numbers/validate', requireScope('send'), resolveSession, validateNumbersSpec, validateNumbers);
+
+    return router;
+};
@@ -0,0 +1,115 @@
+// Opt-out (do-not-contact) list: CRUD plus CSV import and export
+const express = require('express');
+const { acceptUpload } = require('../lib/media');
+const { apiError, sendError } = require('../lib/errors');
+const { PHONE, describeRoute, paging } = require('../lib/openapi');
+
+const MAX_PHONES_PER_REQUEST = 1000;
+const MAX_PAGE_SIZE = 500;
+
+const describe = (spec) => describeRoute({ tag: 'Opt-outs', ...spec });
+
+const listSpec = describe({
+    summary: 'List opted-out numbers',
+    query: { search: { type: 'string' }, ...paging(MAX_PAGE_SIZE) }
+});
+const addSpec = describe({
+    summary: 'Add one number, or several with phones; sends to them fail with OPTED_OUT',
+    status: 201,
+    body: {
+        type: 'object',
+        properties: {
+            phone: PHONE,
+            phones: { type: 'array', minItems: 1, maxItems: MAX_PHONES_PER_REQUEST, items: PHONE },
+            reason: { type: 'string', maxLength: 500 }
+        }
+    },
+    example: { phones: ['919876543210'], reason: 'Asked on call' }
+});
+const exportSpec = describe({ summary: 'Download the list as CSV', produces: 'text/csv' });
+const importSpec = describe({
+    summary: 'Import a CSV with a phone column and an optional reason column',
+    description: 'Send the CSV as a text/csv body, a multipart "file" upload or JSON {"csv": "..."}.',
+    body: { type: 'object', properties: { csv: { type: 'string' } } },
+    upload: 'CSV file',
+    rawBody: ['text/csv']
+});
+const getSpec = describe({ summary: 'Look up one number on the opt-out list' });
+const removeSpec = describe({ summary: 'Remove a number so sends to it go out again' });
+
+module.exports = ({ optOuts, requireScope }) => {
+    const router = express.Router();
+
+    // CSV arrives as a text/csv body, a multipart "file" upload or JSON {"csv": "..."}
+    const readCsv = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+    router.get('/opt-outs', requireScope('send'), listSpec, (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const { total, entries } = optOuts.list({ search: req.query.search, limit, offset });
+        res.json({ success: true, total, limit, offset, optOuts: entries });
+    });
+
+    // {"phone": "+919876543210", "reason": "Asked on call"} or {"phones": [...], "reason": "..."}
+    router.post('/opt-outs', requireScope('send'), addSpec, (req, res) => {
+        const { phone, phones, reason } = req.body;
+        if (phones !== undefined) {
+            const summary = optOuts.addMany(phones.map(item => ({ phone: item, reason })), 'api');
+            return res.status(summary.added > 0 ? 201 : 200).json({ success: true, ...summary });
+        }
+
+        if (!phone) {
+            return sendError(res, apiError('INVALID_PHONE', 'phone or phones is required'));
+        }
+        try {
+            const { entry, created } = optOuts.add(phone, { reason: reason || null, source: 'api' });
+            res.status(created ? 201 : 200).json({ success: true, created, optOut: entry });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/opt-outs/export', requireScope('admin'), exportSpec, (req, res) => {
+        res.type('text/csv')
+            .attachment(`opt-outs-${new Date().toISOString().slice(0, 10)}.csv`)
+            .send(optOuts.exportCsv());
+    });
+
+    router.post('/opt-outs/import', requireScope('admin'), acceptUpload, readCsv, importSpec, (req, res) => {
+        let text = null;
+        if (req.file) text = req.file.buffer.toString('utf8');
+        else if (typeof req.body === 'string') text = req.body;
+        else if (req.body && typeof req.body.csv === 'string') text = req.body.csv;
+
+        if (!text || !text.trim()) {
+            return sendError(res, apiError('INVALID_CSV', 'Send the CSV as a text/csv body, a "file" upload or a "csv" field'));
+        }
+        res.json({ success: true, ...optOuts.importCsv(text.replace(/^\uFEFF/, '')) });
+    });
+
+    router.get('/opt-outs/:phone', requireScope('send'), getSpec, (req, res) => {
+        try {
+            const entry = optOuts.get(req.params.phone);
+            if (!entry) {
+                throw apiError('OPT_OUT_NOT_FOUND', 'Number is not on the opt-out list');
+            }
+            res.json({ success: true, optOut: entry });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Removing a number lets sends to it go out again
+    router.delete('/opt-outs/:phone', requireScope('admin'), removeSpec, (req, res) => {
+        try {
+            if (!optOuts.remove(req.params.phone)) {
+                throw apiError('OPT_OUT_NOT_FOUND', 'Number is not on the opt-out list');
+            }
+            res.json({ success: true, message: 'Number removed from the opt-out list' });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,56 @@
+// Queue inspection and dead-letter replay endpoints
+const express = require('express');
+const { apiError, sendError } = require('../lib/errors');
+const { describeRoute } = require('../lib/openapi');
+
+const describe = (spec) => describeRoute({ tag: 'Queue', ...spec });
+
+module.exports = ({ messageQueue, requireScope }) => {
+    const router = express.Router();
+
+    // Queue summary plus everything still waiting to be sent
+    router.get('/queue', requireScope('send'), describe({ summary: 'Queue stats and messages waiting to be sent' }), (req, res) => {
+        res.json({
+            success: true,
+            stats: messageQueue.stats(),
+            jobs: messageQueue.pending()
+        });
+    });
+
+    router.get('/queue/dead-letter', requireScope('admin'), describe({ summary: 'Messages that failed permanently or ran out of retries' }), (req, res) => {
+        res.json({
+            success: true,
+            deadLetters: messageQueue.deadLetters()
+        });
+    });
+
+    // Put a dead-lettered message back on the queue with a fresh attempt budget
+    router.post('/queue/dead-letter/:id/replay', requireScope('admin'), describe({ summary: 'Put a dead-lettered message back on the queue' }), (req, res) => {
+        const job = messageQueue.replay(req.params.id);
+        if (!job) {
+            return sendError(res, apiError('DEAD_LETTER_NOT_FOUND', 'Dead-letter entry not found'));
+        }
+
+        req.log.info('Replaying dead-letter job', { session: job.sessionId, jobId: job.id, phone: job.phone });
+        res.json({ success: true, job });
+    });
+
+    router.delete('/queue/dead-letter/:id', requireScope('admin'), describe({ summary: 'Discard a dead-lettered message' }), (req, res) => {
+        if (!messageQueue.removeDeadLetter(req.params.id)) {
+            return sendError(res, apiError('DEAD_LETTER_NOT_FOUND', 'Dead-letter entry not found'));
+        }
+
+        res.json({ success: true });
+    });
+
+    router.get('/queue/:id', requireScope('send'), describe({ summary: 'Status of a queued message (pending, sent or dead)' }), (req, res) => {
+        const job = messageQueue.get(req.params.id);
+        if (!job) {
+            return sendError(res, apiError('JOB_NOT_FOUND', 'Queue job not found'));
+        }
+
+        res.json({ success: true, job });
+    });
+
+    return router;
+};
@@ -0,0 +1,33 @@
+// Current usage against the send governor's rate limits and daily caps
+const express = require('express');
+const { resolveChatId } = require('../lib/phone');
+const { sendError } = require('../lib/errors');
+const { COUNTRY, PHONE, describeRoute } = require('../lib/openapi');
+
+const usageSpec = describeRoute({
+    tag: 'System',
+    summary: 'Usage against the per-minute, hour and day send limits and daily caps',
+    query: { phone: { ...PHONE, description: 'Adds this recipient\'s usage' }, country: COUNTRY }
+});
+
+module.exports = ({ governor, resolveSession, requireScope }) => {
+    const router = express.Router();
+
+    // ?phone= adds that recipient's usage
+    const showUsage = (req, res) => {
+        let phone = null;
+        if (req.query.phone) {
+            try {
+                phone = resolveChatId(req.query.phone, { country: req.query.country });
+            } catch (error) {
+                return sendError(res, error);
+            }
+        }
+        res.json({ success: true, usage: governor.usage(req.waSession.id, phone) });
+    };
+
+    router.get('/rate-limits', requireScope('send'), resolveSession, usageSpec, showUsage);
+    router.get('/sessions/:sessionId/rate-limits', requireScope('send'), resolveSession, usageSpec, showUsage);
+
+    return router;
+};
@@ -0,0 +1,75 @@
+// Scheduled and recurring message endpoints: list, inspect, update and cancel
+const express = require('express');
+const { apiError, sendError } = require('../lib/errors');
+const { SCHEDULE_FIELDS } = require('../lib/scheduler');
+const { describeRoute } = require('../lib/openapi');
+
+const describe = (spec) => describeRoute({ tag: 'Schedules', ...spec });
+
+const listSpec = describe({
+    summary: 'List schedules',
+    query: {
+        status: { type: 'string', enum: ['active', 'completed', 'cancelled', 'missed'] },
+        sessionId: { type: 'string' }
+    }
+});
+const getSpec = describe({ summary: 'One schedule with its recent runs' });
+const updateSpec = describe({
+    summary: 'Change an active schedule\'s text, template or timing',
+    body: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            template: { type: 'string' },
+            variables: { type: 'object' },
+            allowMissing: { type: 'boolean' },
+            ...SCHEDULE_FIELDS
+        }
+    },
+    example: { repeat: { frequency: 'monthly', dayOfMonth: 10, time: '09:30' } }
+});
+const cancelSpec = describe({ summary: 'Cancel a schedule; a run already queued still goes out' });
+
+module.exports = ({ scheduler, requireScope }) => {
+    const router = express.Router();
+
+    router.use('/schedules', requireScope('send'));
+
+    const withSchedule = (handler) => (req, res) => {
+        const schedule = scheduler.get(req.params.id);
+        if (!schedule) {
+            return sendError(res, apiError('SCHEDULE_NOT_FOUND', 'Schedule not found'));
+        }
+        handler(schedule, req, res);
+    };
+
+    // ?status=active|completed|cancelled|missed and ?sessionId=
+    router.get('/schedules', listSpec, (req, res) => {
+        const { status, sessionId } = req.query;
+        res.json({ success: true, schedules: scheduler.list({ status, sessionId }) });
+    });
+
+    router.get('/schedules/:id', getSpec, withSchedule((schedule, req, res) => {
+        res.json({ success: true, schedule });
+    }));
+
+    // Any of message, template, variables, sendAt, timezone, repeat, catchUp
+    router.put('/schedules/:id', updateSpec, withSchedule((schedule, req, res) => {
+        try {
+            const { message, template, variables, allowMissing, sendAt, timezone, repeat, catchUp } = req.body;
+            scheduler.update(schedule, { message, template, variables, allowMissing, sendAt, timezone, repeat, catchUp });
+            res.json({ success: true, schedule });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }));
+
+    router.delete('/schedules/:id', cancelSpec, withSchedule((schedule, req, res) => {
+        if (!scheduler.cancel(schedule)) {
+            return sendError(res, apiError('SCHEDULE_NOT_ACTIVE', `Schedule is ${schedule.status} and cannot be cancelled`));
+        }
+        res.json({ success: true, schedule });
+    }));
+
+    return router;
+};
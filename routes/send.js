@@ -0,0 +1,241 @@
+// Send endpoints: /send, /send-message, /schedules and /send-bulk, all through the send pipeline
+const express = require('express');
+const { acceptUpload } = require('../lib/media');
+const { MAX_KEY_LENGTH, fingerprint } = require('../lib/idempotency');
+const { SCHEDULE_FIELDS } = require('../lib/scheduler');
+const { apiError, sendError } = require('../lib/errors');
+const { COUNTRY, PHONE, describeRoute } = require('../lib/openapi');
+
+const describe = (spec) => describeRoute({ tag: 'Messaging', ...spec });
+
+// Fields shared by single and bulk sends. Multipart uploads send the same
+// fields as text; objects and arrays as JSON strings.
+const CONTENT_FIELDS = {
+    message: { type: 'string', description: 'Text, or the caption when media is attached' },
+    caption: { type: 'string' },
+    template: { type: 'string', description: 'Name of a saved template to render instead of message' },
+    variables: { type: 'object', description: 'Template values shared by every recipient' },
+    allowMissing: { type: 'boolean', description: 'Send even when placeholders have no value' },
+    media: {
+        type: 'object',
+        description: 'Attachment by url or base64 data; or upload it as a multipart "file"',
+        properties: {
+            url: { type: 'string' },
+            base64: { type: 'string' },
+            mimetype: { type: 'string' },
+            filename: { type: 'string' },
+            asDocument: { type: 'boolean' }
+        }
+    },
+    filename: { type: 'string', description: 'Multipart uploads: name of the file' },
+    mimetype: { type: 'string', description: 'Multipart uploads: overrides the detected type' },
+    asDocument: { type: 'boolean', description: 'Multipart uploads: send as a document' },
+    country: COUNTRY,
+    legacyChatCreation: { type: 'boolean', description: 'Open chats the old way when the LID lookup fails' }
+};
+
+const IDEMPOTENCY_HEADERS = {
+    'Idempotency-Key': { type: 'string', maxLength: MAX_KEY_LENGTH, description: 'A retry with the same key returns the original response' }
+};
+const UPLOAD = 'Attachment; filename, mimetype and asDocument may be sent alongside';
+
+const SEND = {
+    summary: 'Queue a message, optionally with media; with sendAt or repeat it is scheduled instead',
+    status: 202,
+    headers: IDEMPOTENCY_HEADERS,
+    upload: UPLOAD,
+    body: {
+        type: 'object',
+        required: ['phone'],
+        properties: {
+            phone: PHONE,
+            ...CONTENT_FIELDS,
+            quotedMessageId: { type: 'string', description: 'Serialized id of a message to quote' },
+            ...SCHEDULE_FIELDS
+        }
+    },
+    example: { phone: '919876543210', message: 'Hello!' }
+};
+
+const sendSpec = describe(SEND);
+const sendMessageSpec = describe({ ...SEND, summary: 'Same as /send, for older clients' });
+const scheduleSpec = describe({
+    ...SEND,
+    tag: 'Schedules',
+    summary: 'Schedule a message; the /send body with sendAt and/or repeat',
+    example: {
+        phone: '919876543210',
+        message: 'Your EMI is due',
+        repeat: { frequency: 'monthly', dayOfMonth: 5, time: '10:00' },
+        timezone: 'Asia/Kolkata',
+        catchUp: 'once'
+    }
+});
+const bulkSpec = describe({
+    summary: 'Start a bulk job; answers with its id at once',
+    description: 'Contacts may be objects whose fields fill the template placeholders. '
+        + 'A contact idempotencyKey seen before is skipped. Invalid numbers fail individually.',
+    status: 202,
+    headers: IDEMPOTENCY_HEADERS,
+    upload: UPLOAD,
+    body: {
+        type: 'object',
+        required: ['contacts'],
+        properties: {
+            contacts: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    anyOf: [
+                        PHONE,
+                        {
+                            type: 'object',
+                            required: ['phone'],
+                            properties: { phone: PHONE, idempotencyKey: { type: 'string', maxLength: MAX_KEY_LENGTH } }
+                        }
+                    ]
+                }
+            },
+            ...CONTENT_FIELDS,
+            intervalMs: { type: 'integer', minimum: 0, description: 'Extra gap between recipients on top of the rate limits' }
+        }
+    },
+    example: { contacts: [{ phone: '919876543210' }], message: 'Bulk message', intervalMs: 5000 }
+});
+
+module.exports = ({ sendPipeline, idempotency, messageQueue, bulkJobs, scheduler, resolveSession, requireScope }) => {
+    const router = express.Router();
+
+    // Keys are per API key, so two integrations cannot collide
+    const idempotencyOwner = (req) => (req.apiKey ? req.apiKey.id : 'anonymous');
+
+    // A replayed response reports where the original request has got to since
+    const refreshResult = (body) => {
+        if (body.jobId) {
+            const job = bulkJobs.get(body.jobId);
+            return job ? { ...body, job: bulkJobs.describe(job, { includeResults: false }) } : body;
+        }
+        if (body.scheduleId) {
+            const schedule = scheduler.get(body.scheduleId);
+            return schedule ? { ...body, schedule } : body;
+        }
+        const job = body.id && messageQueue.get(body.id);
+        return job ? { ...body, status: job.status, messageId: job.messageId || null, errorCode: job.errorCode || null } : body;
+    };
+
+    // Idempotency-Key header: within the window a retry gets the original
+    // response back instead of sending again
+    const idempotent = (kind) => (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (!key) return next();
+
+        const scopedKey = `${idempotencyOwner(req)}:${kind}:${key}`;
+        const file = req.file && { name: req.file.originalname, size: req.file.size, hash: fingerprint(req.file.buffer.toString('base64')) };
+        const { state, record } = idempotency.begin(scopedKey, fingerprint({ session: req.waSession.id, body: req.body, file }));
+
+        if (state === 'mismatch') {
+            return sendError(res, apiError('IDEMPOTENCY_KEY_MISMATCH', 'This Idempotency-Key was already used with a different request'));
+        }
+        if (state === 'in_progress') {
+            return sendError(res, apiError('IDEMPOTENCY_KEY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed'));
+        }
+        if (state === 'completed') {
+            req.log.info('Replaying response for Idempotency-Key', { kind, idempotencyKey: key });
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.statusCode).json({ ...refreshResult(record.body), idempotentReplay: true });
+        }
+
+        // Keep successful responses; anything else frees the key for a retry
+        let answered = false;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            answered = true;
+            if (res.statusCode < 300) {
+                idempotency.complete(scopedKey, { statusCode: res.statusCode, body });
+            } else {
+                idempotency.release(scopedKey);
+            }
+            return json(body);
+        };
+        res.on('close', () => {
+            if (!answered) idempotency.release(scopedKey);
+        });
+        next();
+    };
+
+    // ✅ Send message endpoint - accepted into the durable queue, sent once ready
+    const handleSend = async (req, res) => {
+        try {
+            const session = req.waSession;
+            const { schedule, job, phone, message, media } = await sendPipeline.send(session, req.body, { file: req.file });
+
+            if (schedule) {
+                return res.status(202).location(`/schedules/${schedule.id}`).json({
+                    success: true,
+                    scheduled: true,
+                    scheduleId: schedule.id,
+                    schedule,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(202).json({
+                success: true,
+                queued: true,
+                id: job.id,
+                status: job.status,
+                phone,
+                session: session.id,
+                message,
+                media,
+                quotedMessageId: job.quotedMessageId,
+                clientReady: session.isReady,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            sendError(res, error, 'QUEUE_ERROR');
+        }
+    };
+
+    // Same body as /send, but sendAt or repeat is required
+    const handleSchedule = (req, res) => {
+        if (!req.body.sendAt && !req.body.repeat) {
+            return sendError(res, apiError('INVALID_SCHEDULE', 'sendAt or repeat is required to schedule a message'));
+        }
+        return handleSend(req, res);
+    };
+
+    // ✅ BULK Send - creates a background job and answers immediately
+    const handleBulkSend = async (req, res) => {
+        try {
+            const job = await sendPipeline.startBulk(req.waSession, req.body, {
+                file: req.file,
+                owner: idempotencyOwner(req)
+            });
+
+            res.status(202).location(`/bulk-jobs/${job.id}`).json({
+                success: true,
+                jobId: job.id,
+                job: bulkJobs.describe(job, { includeResults: false }),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            sendError(res, error, 'QUEUE_ERROR');
+        }
+    };
+
+    router.post('/send', requireScope('send'), acceptUpload, resolveSession, sendSpec, idempotent('send'), handleSend);
+    router.post('/sessions/:sessionId/send', requireScope('send'), acceptUpload, resolveSession, sendSpec, idempotent('send'), handleSend);
+
+    // ✅ Alternative endpoint for /send-message (client compatibility)
+    router.post('/send-message', requireScope('send'), acceptUpload, resolveSession, sendMessageSpec, idempotent('send'), handleSend);
+
+    router.post('/schedules', requireScope('send'), acceptUpload, resolveSession, scheduleSpec, idempotent('send'), handleSchedule);
+    router.post('/sessions/:sessionId/schedules', requireScope('send'), acceptUpload, resolveSession, scheduleSpec, idempotent('send'), handleSchedule);
+
+    router.post('/send-bulk', requireScope('bulk'), acceptUpload, resolveSession, bulkSpec, idempotent('bulk'), handleBulkSend);
+    router.post('/bulk-jobs', requireScope('bulk'), acceptUpload, resolveSession, bulkSpec, idempotent('bulk'), handleBulkSend);
+    router.post('/sessions/:sessionId/send-bulk', requireScope('bulk'), acceptUpload, resolveSession, bulkSpec, idempotent('bulk'), handleBulkSend);
+
+    return router;
+};
@@ -0,0 +1,169 @@
+// Session management: create, list, start, stop and delete named sessions
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { apiError, sendError } = require('../lib/errors');
+const { describeRoute } = require('../lib/openapi');
+
+const ARCHIVE_MAX_MB = parseInt(process.env.AUTH_ARCHIVE_MAX_MB, 10) || 100;
+// Every zip file starts with a local file header
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+const describe = (spec) => describeRoute({ tag: 'Sessions', ...spec });
+
+const listSpec = describe({ summary: 'List sessions' });
+const createSpec = describe({
+    summary: 'Create a named session; scan its QR code at /sessions/:id/qr',
+    status: 201,
+    body: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string', description: 'Letters, numbers, "_" and "-"' },
+            name: { type: 'string' },
+            autoStart: { type: 'boolean', description: 'Start the client now and on every boot (default true)' }
+        }
+    },
+    example: { id: 'vardhaman-finance', name: 'Vardhaman Finance', autoStart: true }
+});
+const getSpec = describe({ summary: 'One session with its state and reconnect details' });
+const statusSpec = describe({ summary: 'Connection status of a session' });
+const readySpec = describe({ summary: 'Readiness probe for a session; 503 until it can send', tag: 'System' });
+const qrSpec = describe({ summary: 'QR code page to link the session\'s WhatsApp account', produces: 'text/html' });
+const startSpec = describe({ summary: 'Start a stopped session' });
+const stopSpec = describe({ summary: 'Stop a session, keeping its login' });
+const restartSpec = describe({ summary: 'Recreate the browser and client now, skipping the reconnect backoff' });
+const backupSpec = describe({
+    summary: 'Download the session archive kept in AUTH_STORE',
+    description: 'The zip grants access to the WhatsApp account; keep it safe.',
+    produces: 'application/zip'
+});
+const restoreSpec = describe({
+    summary: 'Replace the stored session archive with a backup zip and restart the session',
+    rawBody: ['application/zip', 'application/octet-stream']
+});
+const removeSpec = describe({ summary: 'Log the device out and delete the session with its stored login' });
+
+const tempArchivePath = () => path.join(os.tmpdir(), `wa-auth-${crypto.randomUUID()}.zip`);
+
+module.exports = ({ sessions, resolveSession, requireScope, renderQrPage, sendStatus, sendReadiness }) => {
+    const router = express.Router();
+
+    router.get('/sessions', requireScope('admin'), listSpec, (req, res) => {
+        res.json({ success: true, sessions: sessions.list().map(sessions.describe) });
+    });
+
+    // {"id": "vardhaman-finance", "name": "Vardhaman Finance", "autoStart": true}
+    router.post('/sessions', requireScope('admin'), createSpec, (req, res) => {
+        const { id, name, autoStart } = req.body;
+        try {
+            const session = sessions.create({ id, name, autoStart: autoStart !== false });
+            res.status(201).json({
+                success: true,
+                session: sessions.describe(session),
+                qr: `/sessions/${session.id}/qr`
+            });
+        } catch (error) {
+            sendError(res, error, 'SESSION_ERROR');
+        }
+    });
+
+    router.get('/sessions/:sessionId', requireScope('admin'), resolveSession, getSpec, (req, res) => {
+        res.json({ success: true, session: sessions.describe(req.waSession) });
+    });
+
+    // Public like /status, for monitors and frontends that poll
+    router.get('/sessions/:sessionId/status', resolveSession, statusSpec, sendStatus);
+    router.get('/sessions/:sessionId/health/ready', resolveSession, readySpec, sendReadiness);
+
+    router.get('/sessions/:sessionId/qr', requireScope('admin', { browser: true }), resolveSession, qrSpec, (req, res) => {
+        const session = req.waSession;
+        res.send(renderQrPage(session, {
+            statusPath: `/sessions/${session.id}/status`,
+            eventsPath: `/sessions/${session.id}/events`
+        }));
+    });
+
+    router.post('/sessions/:sessionId/start', requireScope('admin'), resolveSession, startSpec, (req, res) => {
+        const session = req.waSession;
+        if (!sessions.start(session)) {
+            return sendError(res, apiError('SESSION_RUNNING', `Session "${session.id}" is already running`));
+        }
+        res.json({ success: true, session: sessions.describe(session) });
+    });
+
+    router.post('/sessions/:sessionId/stop', requireScope('admin'), resolveSession, stopSpec, async (req, res) => {
+        const session = req.waSession;
+        if (!(await sessions.stop(session))) {
+            return sendError(res, apiError('SESSION_NOT_RUNNING', `Session "${session.id}" is not running`));
+        }
+        res.json({ success: true, session: sessions.describe(session) });
+    });
+
+    // Recreates the browser and client now, e.g. when WhatsApp Web is stuck
+    const restartSession = async (req, res) => {
+        try {
+            await sessions.restart(req.waSession);
+            res.json({ success: true, session: sessions.describe(req.waSession) });
+        } catch (error) {
+            req.log.error('Failed to restart session', { session: req.waSession.id, error });
+            sendError(res, apiError('SESSION_ERROR', error.message));
+        }
+    };
+
+    // The stored login as a zip; keep it safe, it grants access to the account
+    const backupAuth = async (req, res) => {
+        const session = req.waSession;
+        const archive = tempArchivePath();
+        try {
+            await sessions.backupAuth(session, archive);
+            res.download(archive, `whatsapp-session-${session.id}.zip`, () => fs.rm(archive, { force: true }, () => {}));
+        } catch (error) {
+            fs.rm(archive, { force: true }, () => {});
+            sendError(res, error, 'AUTH_STORE_ERROR');
+        }
+    };
+
+    // Body: the zip from a backup, sent as application/zip or application/octet-stream
+    const restoreAuth = async (req, res) => {
+        const session = req.waSession;
+        if (!Buffer.isBuffer(req.body) || !req.body.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+            return sendError(res, apiError('INVALID_ARCHIVE', 'Send the backup zip as the request body with Content-Type: application/zip'));
+        }
+
+        const archive = tempArchivePath();
+        try {
+            await fs.promises.writeFile(archive, req.body);
+            await sessions.restoreAuth(session, archive);
+            res.json({ success: true, session: sessions.describe(session) });
+        } catch (error) {
+            sendError(res, error, 'AUTH_STORE_ERROR');
+        } finally {
+            fs.rm(archive, { force: true }, () => {});
+        }
+    };
+
+    const archiveBody = express.raw({ type: ['application/zip', 'application/octet-stream'], limit: `${ARCHIVE_MAX_MB}mb` });
+
+    router.post('/restart', requireScope('admin'), resolveSession, restartSpec, restartSession);
+    router.post('/sessions/:sessionId/restart', requireScope('admin'), resolveSession, restartSpec, restartSession);
+    router.get('/auth/backup', requireScope('admin'), resolveSession, backupSpec, backupAuth);
+    router.post('/auth/restore', requireScope('admin'), archiveBody, resolveSession, restoreSpec, restoreAuth);
+    router.get('/sessions/:sessionId/auth/backup', requireScope('admin'), resolveSession, backupSpec, backupAuth);
+    router.post('/sessions/:sessionId/auth/restore', requireScope('admin'), archiveBody, resolveSession, restoreSpec, restoreAuth);
+
+    // Logs the device out and removes the session's stored auth
+    router.delete('/sessions/:sessionId', requireScope('admin'), resolveSession, removeSpec, async (req, res) => {
+        try {
+            await sessions.remove(req.waSession);
+            res.json({ success: true });
+        } catch (error) {
+            req.log.error('Failed to delete session', { session: req.waSession.id, error });
+            sendError(res, error.errorCode ? error : apiError('SESSION_ERROR', error.message));
+        }
+    });
+
+    return router;
+};
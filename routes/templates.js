@@ -0,0 +1,128 @@
+// Message template CRUD and dry-run previews
+const express = require('express');
+const { HELPERS, renderForContacts } = require('../lib/templates');
+const { sendError } = require('../lib/errors');
+const { describeRoute } = require('../lib/openapi');
+
+const PREVIEW_LIMIT = 100;
+
+const describe = (spec) => describeRoute({ tag: 'Templates', ...spec });
+
+const TEMPLATE_FIELDS = {
+    body: { type: 'string', minLength: 1, description: 'Text with {{placeholders}} and helpers such as {{amount | inr}}' },
+    defaults: { type: 'object', description: 'Values for placeholders a contact does not fill' },
+    description: { type: 'string' }
+};
+// Contact objects fill the placeholders; at most PREVIEW_LIMIT are rendered
+const PREVIEW_FIELDS = {
+    contacts: { type: 'array', minItems: 1, items: { type: 'object' } },
+    variables: { type: 'object', description: 'Values shared by every contact' }
+};
+const PREVIEW_EXAMPLE = { contacts: [{ phone: '919876543210', name: 'Asha', amount: 4500, due_date: '2026-11-05' }] };
+
+const listSpec = describe({ summary: 'List templates and the available helpers' });
+const createSpec = describe({
+    summary: 'Create a template',
+    status: 201,
+    body: {
+        type: 'object',
+        required: ['name', 'body'],
+        properties: { name: { type: 'string', description: 'Letters, numbers, "_" and "-"' }, ...TEMPLATE_FIELDS }
+    },
+    example: { name: 'emi-reminder', body: 'Dear {{name}}, your EMI of {{amount | inr}} is due on {{due_date | date}}' }
+});
+const previewBodySpec = describe({
+    summary: 'Dry-run an unsaved template body per contact; nothing is sent',
+    body: { type: 'object', required: ['body'], properties: { ...TEMPLATE_FIELDS, ...PREVIEW_FIELDS } },
+    example: { body: 'Dear {{name}}, your EMI is due', ...PREVIEW_EXAMPLE }
+});
+const getSpec = describe({ summary: 'Read a template' });
+const updateSpec = describe({ summary: 'Update a template', body: { type: 'object', properties: TEMPLATE_FIELDS } });
+const removeSpec = describe({ summary: 'Delete a template' });
+const previewSpec = describe({
+    summary: 'Dry-run a saved template per contact, reporting missing variables; nothing is sent',
+    body: { type: 'object', properties: PREVIEW_FIELDS },
+    example: PREVIEW_EXAMPLE
+});
+
+module.exports = ({ templates, requireScope }) => {
+    const router = express.Router();
+
+    // Renders for up to PREVIEW_LIMIT contacts without queueing anything
+    const preview = (template, { contacts, variables }) => {
+        const list = contacts === undefined ? [{}] : contacts;
+        const previews = renderForContacts(template, list.slice(0, PREVIEW_LIMIT), variables);
+        return {
+            success: true,
+            template: template.name || null,
+            previews,
+            missingCount: previews.filter(item => item.missing.length > 0).length,
+            truncated: list.length > PREVIEW_LIMIT
+        };
+    };
+
+    router.get('/templates', requireScope('send'), listSpec, (req, res) => {
+        res.json({ success: true, helpers: Object.keys(HELPERS), templates: templates.list() });
+    });
+
+    // {"name": "emi-reminder", "body": "Dear {{name}}, EMI of {{amount | inr}} is due on {{due_date | date}}", "defaults": {}}
+    router.post('/templates', requireScope('admin'), createSpec, (req, res) => {
+        try {
+            const { name, body, defaults, description } = req.body;
+            res.status(201).json({ success: true, template: templates.create({ name, body, defaults, description }) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Ad-hoc preview of an unsaved body
+    router.post('/templates/preview', requireScope('send'), previewBodySpec, (req, res) => {
+        try {
+            const { body, defaults, contacts, variables } = req.body;
+            res.json(preview({ body, defaults }, { contacts, variables }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/templates/:name', requireScope('send'), getSpec, (req, res) => {
+        try {
+            res.json({ success: true, template: templates.require(req.params.name) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.put('/templates/:name', requireScope('admin'), updateSpec, (req, res) => {
+        try {
+            const { body, defaults, description } = req.body;
+            templates.require(req.params.name);
+            const template = templates.update(req.params.name, { body, defaults, description });
+            res.json({ success: true, template });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/templates/:name', requireScope('admin'), removeSpec, (req, res) => {
+        try {
+            templates.require(req.params.name);
+            templates.remove(req.params.name);
+            res.json({ success: true });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // {"contacts": [{"phone": "9876543210", "name": "Asha", "amount": 4500}], "variables": {...}}
+    router.post('/templates/:name/preview', requireScope('send'), previewSpec, (req, res) => {
+        try {
+            const template = templates.require(req.params.name);
+            res.json(preview(template, req.body));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+};
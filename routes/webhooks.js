@@ -0,0 +1,114 @@
+// Webhook registration and delivery log endpoints
+const express = require('express');
+const { apiError, sendError } = require('../lib/errors');
+const { WEBHOOK_EVENTS } = require('../lib/webhooks');
+const { describeRoute } = require('../lib/openapi');
+
+const describe = (spec) => describeRoute({ tag: 'Webhooks', ...spec });
+
+const HOOK_FIELDS = {
+    url: { type: 'string', description: 'http or https URL that receives the POSTs' },
+    events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    secret: { type: 'string', description: 'Signs X-Webhook-Signature; generated when omitted' }
+};
+
+const listSpec = describe({ summary: 'List webhooks and the events they can subscribe to' });
+const registerSpec = describe({
+    summary: 'Register a webhook; the secret is only returned in this response',
+    status: 201,
+    body: { type: 'object', required: ['url'], properties: HOOK_FIELDS },
+    example: { url: 'https://example.com/hooks/whatsapp', events: ['message', 'message_ack'] }
+});
+const updateSpec = describe({
+    summary: 'Change a webhook\'s url, events or secret, or pause it with active: false',
+    body: { type: 'object', properties: { ...HOOK_FIELDS, active: { type: 'boolean' } } }
+});
+const removeSpec = describe({ summary: 'Delete a webhook' });
+const deliveriesSpec = describe({
+    summary: 'The delivery log',
+    query: { status: { type: 'string', enum: ['pending', 'delivered', 'failed'] }, webhookId: { type: 'string' } }
+});
+const redeliverSpec = describe({ summary: 'Send a finished delivery again' });
+
+module.exports = ({ webhooks, requireScope }) => {
+    const router = express.Router();
+
+    router.use('/webhooks', requireScope('admin'));
+
+    // Returns an error string, or null when the url is acceptable; the body's
+    // shape is checked by the route schemas
+    const validate = ({ url }) => {
+        if (url === undefined) return null;
+        try {
+            const parsed = new URL(url);
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                return 'Webhook url must use http or https';
+            }
+        } catch (e) {
+            return 'A valid webhook url is required';
+        }
+        return null;
+    };
+
+    router.get('/webhooks', listSpec, (req, res) => {
+        res.json({ success: true, events: webhooks.events, webhooks: webhooks.list() });
+    });
+
+    // The secret is only returned here; store it to verify X-Webhook-Signature
+    router.post('/webhooks', registerSpec, (req, res) => {
+        const error = validate(req.body);
+        if (error) {
+            return sendError(res, apiError('INVALID_WEBHOOK', error));
+        }
+
+        const { url, events, secret } = req.body;
+        const hook = webhooks.register({ url, events, secret });
+        res.status(201).json({
+            success: true,
+            webhook: { ...webhooks.publicHook(hook), secret: hook.secret }
+        });
+    });
+
+    router.put('/webhooks/:id', updateSpec, (req, res) => {
+        const error = validate(req.body);
+        if (error) {
+            return sendError(res, apiError('INVALID_WEBHOOK', error));
+        }
+
+        const { url, events, active, secret } = req.body;
+        const hook = webhooks.update(req.params.id, {
+            url,
+            events,
+            secret,
+            active
+        });
+        if (!hook) {
+            return sendError(res, apiError('WEBHOOK_NOT_FOUND', 'Webhook not found'));
+        }
+
+        res.json({ success: true, webhook: webhooks.publicHook(hook) });
+    });
+
+    router.delete('/webhooks/:id', removeSpec, (req, res) => {
+        if (!webhooks.remove(req.params.id)) {
+            return sendError(res, apiError('WEBHOOK_NOT_FOUND', 'Webhook not found'));
+        }
+        res.json({ success: true });
+    });
+
+    // Delivery log, optionally filtered by ?status=failed and ?webhookId=
+    router.get('/webhooks/deliveries', deliveriesSpec, (req, res) => {
+        const { status, webhookId } = req.query;
+        res.json({ success: true, deliveries: webhooks.deliveries({ status, webhookId }) });
+    });
+
+    router.post('/webhooks/deliveries/:id/redeliver', redeliverSpec, (req, res) => {
+        const delivery = webhooks.redeliver(req.params.id);
+        if (!delivery) {
+            return sendError(res, apiError('DELIVERY_NOT_FOUND', 'Delivery not found or already pending'));
+        }
+        res.json({ success: true, delivery });
+    });
+
+    return router;
+};
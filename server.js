@@ -1,20 +1,64 @@
 // WhatsApp API Server - Railway Optimized with LID Fix
-console.log('🚀 Starting WhatsApp API Server for Railway...');
+const { logger, logRequests } = require('./lib/logger');
+
+logger.info('Starting WhatsApp API server');
 
 const express = require('express');
 const cors = require('cors');
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode');
-const path = require('path');
+const { createSessionManager, DEFAULT_SESSION_ID } = require('./lib/session-manager');
+const { createAuthStoreFromEnv } = require('./lib/auth-stores');
+const { renderQrPage } = require('./lib/qr-page');
+const { JSON_BODY_LIMIT, removeMedia } = require('./lib/media');
+const { createMessageQueue } = require('./lib/message-queue');
+const { createBulkJobManager } = require('./lib/bulk-jobs');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const { createMessageTracker } = require('./lib/message-tracker');
+const { createApiKeyStore } = require('./lib/api-keys');
+const { createAuth } = require('./lib/auth');
+const { createTemplateStore } = require('./lib/templates');
+const { createScheduler } = require('./lib/scheduler');
+const { createChatPreparer } = require('./lib/chat-preparation');
+const { createSendGovernor } = require('./lib/send-governor');
+const { createIdempotencyStore } = require('./lib/idempotency');
+const { createOptOutList } = require('./lib/opt-outs');
+const { createContactDirectory } = require('./lib/contact-directory');
+const { createEventStream } = require('./lib/event-stream');
+const { createSendPipeline } = require('./lib/send-pipeline');
+const { createHealthChecks } = require('./lib/health');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createMetrics } = require('./lib/metrics');
+const { assignRequestId } = require('./lib/request-id');
+const { buildOpenApiDocument, describeRoute } = require('./lib/openapi');
+const { renderEndpointsPage } = require('./lib/endpoints-page');
+const { apiError, sendError } = require('./lib/errors');
+const { serializeMessage, serializeGroupNotification } = require('./lib/serializers');
+const queueRoutes = require('./routes/queue');
+const bulkJobRoutes = require('./routes/bulk-jobs');
+const webhookRoutes = require('./routes/webhooks');
+const messageRoutes = require('./routes/messages');
+const apiKeyRoutes = require('./routes/api-keys');
+const sessionRoutes = require('./routes/sessions');
+const templateRoutes = require('./routes/templates');
+const scheduleRoutes = require('./routes/schedules');
+const numberRoutes = require('./routes/numbers');
+const rateLimitRoutes = require('./routes/rate-limits');
+const optOutRoutes = require('./routes/opt-outs');
+const chatRoutes = require('./routes/chats');
+const messageActionRoutes = require('./routes/message-actions');
+const groupRoutes = require('./routes/groups');
+const contactRoutes = require('./routes/contacts');
+const sendRoutes = require('./routes/send');
+const eventRoutes = require('./routes/events');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Railway-specific environment info
-console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-console.log(`🚀 Port: ${PORT}`);
-console.log(`🚂 Platform: Railway`);
-console.log(`💾 Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
+logger.info('Environment', {
+    environment: process.env.NODE_ENV || 'development',
+    port: PORT,
+    platform: 'Railway',
+    heapUsedMb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024)
+});
 
 // Middleware - Railway optimized
 app.use(cors({
@@ -27,458 +71,108 @@ app.use(cors({
     ],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Request-Id'],
+    exposedHeaders: ['Location', 'Retry-After', 'Idempotent-Replayed', 'X-Request-Id']
 }));
 
-app.use(express.json({ limit: '10mb' }));
-
-// State management
-let client = null;
-let qrCode = null;
-let isReady = false;
-let isAuthenticated = false;
-let clientInitialized = false;
-let initAttempts = 0;
-const MAX_INIT_ATTEMPTS = 3;
-
-// Railway-optimized WhatsApp Client Initialization
-const initWhatsAppClient = () => {
-    if (initAttempts >= MAX_INIT_ATTEMPTS) {
-        console.error('❌ Max initialization attempts reached.');
-        return;
-    }
-
-    initAttempts++;
-    console.log(`🔄 Initializing WhatsApp Client (Attempt ${initAttempts}/${MAX_INIT_ATTEMPTS})...`);
-    
-    client = new Client({
-        authStrategy: new LocalAuth({
-            clientId: "railway-client",
-            dataPath: path.join(process.cwd(), '.wwebjs_auth')
-        }),
-        puppeteer: {
-            headless: true,
-            args: [
-                // Railway-optimized Puppeteer args
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--disable-gpu',
-                '--disable-web-security',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process',
-                '--disable-extensions',
-                '--disable-plugins',
-                '--disable-default-apps',
-                '--disable-background-timer-throttling',
-                '--disable-backgrounding-occluded-windows',
-                '--disable-renderer-backgrounding',
-                '--disable-hang-monitor',
-                '--disable-ipc-flooding-protection',
-                '--disable-logging',
-                '--disable-notifications',
-                '--mute-audio',
-                '--no-default-browser-check',
-                '--disable-software-rasterizer'
-            ],
-            timeout: 60000 // Railway has better resources than Vercel
-        },
-        // Use remote web version for Railway
-        webVersionCache: {
-            type: 'remote',
-            remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
-        },
-        // Railway-specific settings
-        restartOnAuthFail: true,
-        qrMaxRetries: 3,
-        takeoverOnConflict: true,
-        takeoverTimeoutMs: 30000
-    });
-
-    // Event Handlers
-    client.on('qr', async (qr) => {
-        try {
-            const qrStartTime = Date.now();
-            console.log('📱 QR received, generating image...');
-            
-            qrCode = await qrcode.toDataURL(qr, {
-                width: 300,
-                margin: 1,
-                color: {
-                    dark: '#000000',
-                    light: '#FFFFFF'
-                },
-                errorCorrectionLevel: 'M'
-            });
-            
-            const qrEndTime = Date.now();
-            console.log(`✅ QR ready in ${qrEndTime - qrStartTime}ms!`);
-            console.log('🌐 Railway URL: Check your Railway deployment URL + /qr');
-            console.log('🌐 Local: https://web-production-2c0a8.up.railway.app/qr');
-        } catch (error) {
-            console.error('❌ Failed to generate QR:', error);
-        }
-    });
-
-    client.on('ready', () => {
-        console.log('🎉 WhatsApp Client READY on Railway!');
-        isReady = true;
-        isAuthenticated = true;
-        qrCode = null;
-        clientInitialized = true;
-    });
-
-    client.on('authenticated', () => {
-        console.log('🔐 WhatsApp authenticated!');
-        isAuthenticated = true;
-        qrCode = null;
-    });
-
-    client.on('auth_failure', (msg) => {
-        console.error('❌ Auth failure:', msg);
-        isReady = false;
-        isAuthenticated = false;
-        qrCode = null;
-    });
-
-    client.on('disconnected', (reason) => {
-        console.log('🔌 Disconnected:', reason);
-        isReady = false;
-        isAuthenticated = false;
-        qrCode = null;
-        clientInitialized = false;
-
-        // Auto-reconnect for Railway
-        if (reason !== 'LOGOUT') {
-            setTimeout(() => {
-                if (!clientInitialized && initAttempts < MAX_INIT_ATTEMPTS) {
-                    console.log('🔄 Attempting to reconnect...');
-                    initWhatsAppClient();
-                }
-            }, 5000);
-        }
-    });
+// Every response carries X-Request-Id, and every error body and log line its requestId
+app.use(assignRequestId);
+app.use(logRequests);
 
-    client.on('loading_screen', (percent, message) => {
-        console.log(`⏳ Loading WhatsApp: ${percent}% - ${message}`);
-    });
-
-    // Initialize client
-    client.initialize().catch(err => {
-        console.error('❌ Failed to initialize WhatsApp:', err);
-        isReady = false;
-        isAuthenticated = false;
-    });
-};
+// Sized for the largest base64 attachment; media.js enforces the real per-file limit
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 
-// ✅ CRITICAL FIX: Function to handle "No LID" error
-const ensureChatExists = async (phoneNumber) => {
-    try {
-        const formattedPhone = phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
-        console.log(`🔍 Checking chat for ${formattedPhone}...`);
+// API key auth - routes declare the scope they need with requireScope()
+const apiKeys = createApiKeyStore();
+const { authenticate, authenticateQuery, hasScope, requireScope } = createAuth({ apiKeys });
+app.use(authenticate);
+app.use(apiKeyRoutes({ apiKeys, requireScope }));
 
-        // First, check if user is registered on WhatsApp
-        const isRegistered = await client.isRegisteredUser(formattedPhone);
-        if (!isRegistered) {
-            throw new Error('Phone number is not registered on WhatsApp');
-        }
+// Sessions - one WhatsApp client per named session, "default" serves the legacy routes.
+// AUTH_STORE keeps logins off the local disk, which Railway/Render wipe on redeploy.
+const sessions = createSessionManager({ authStore: createAuthStoreFromEnv() });
 
-        // Try to get existing chat
-        try {
-            const chat = await client.getChatById(formattedPhone);
-            if (chat) {
-                console.log(`✅ Chat already exists for ${formattedPhone}`);
-                return chat;
-            }
-        } catch (error) {
-            console.log(`ℹ️ No existing chat for ${formattedPhone}, will create one...`);
-        }
-
-        // Send a minimal message (a dot) to force chat creation
-        console.log(`🔄 Attempting to create chat for ${formattedPhone}...`);
-        const dummyMessage = await client.sendMessage(formattedPhone, '.');
-        
-        // Wait a moment for chat to be created
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        console.log(`✅ Chat created successfully for ${formattedPhone}`);
-        return true;
-    } catch (error) {
-        console.error(`❌ Failed to ensure chat exists for ${phoneNumber}:`, error.message);
-        
-        // If method 1 fails, try alternative approach
-        if (error.message.includes('No LID') || error.message.includes('LID')) {
-            console.log(`🔄 Trying alternative method for ${phoneNumber}...`);
-            return await createChatAlternative(phoneNumber);
-        }
-        throw error;
-    }
-};
-
-// ✅ ALTERNATIVE METHOD for creating chat
-const createChatAlternative = async (phoneNumber) => {
-    try {
-        const formattedPhone = phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
-        console.log(`🔧 Using alternative method for ${formattedPhone}...`);
-
-        // Try to find contact first
-        try {
-            const contact = await client.getContactById(formattedPhone);
-            console.log(`✅ Found contact: ${contact.pushname || contact.name}`);
-        } catch (e) {
-            console.log(`ℹ️ Contact not in address book: ${formattedPhone}`);
-        }
-
-        // Send a simple message
-        const simpleMessage = `Hi, this is a test message from WhatsApp API.`;
-        const result = await client.sendMessage(formattedPhone, simpleMessage, {
-            linkPreview: false
-        });
-
-        console.log(`✅ Alternative method worked for ${formattedPhone}`);
-        return true;
-    } catch (error) {
-        console.error(`❌ Alternative method also failed for ${phoneNumber}:`, error.message);
-        throw new Error(`Cannot create chat with ${phoneNumber}. User might have blocked you or privacy settings prevent chat creation.`);
+// Finds the session named in :sessionId, or the default one for legacy routes
+const resolveSession = (req, res, next) => {
+    const session = sessions.get(req.params.sessionId || DEFAULT_SESSION_ID);
+    if (!session) {
+        return sendError(res, apiError('SESSION_NOT_FOUND', `Session "${req.params.sessionId}" not found`));
     }
+    req.waSession = session;
+    next();
 };
 
 // Routes
+const describe = (spec) => describeRoute({ tag: 'System', ...spec });
 
 // QR Code page - Railway optimized
-app.get('/qr', (req, res) => {
-    if (isReady || isAuthenticated) {
-        return res.send(`
-            <!DOCTYPE html>
-            <html>
-                <head>
-                    <title>WhatsApp Connected - Railway</title>
-                    <meta name="viewport" content="width=device-width, initial-scale=1">
-                    <style>
-                        body { font-family: Arial, sans-serif; text-align: center; padding: 40px; background: #f5f5f5; }
-                        .container { max-width: 500px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-                        .success { color: #25D366; font-size: 24px; margin-bottom: 20px; }
-                        .btn { background: #25D366; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; margin: 10px; text-decoration: none; display: inline-block; }
-                        .btn:hover { background: #1da851; }
-                        .status-info { background: #d4edda; color: #155724; padding: 15px; border-radius: 5px; margin: 20px 0; }
-                        .railway-badge { background: #0f0f23; color: white; padding: 5px 10px; border-radius: 15px; font-size: 12px; margin: 10px 0; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="success">✅ WhatsApp Connected!</div>
-                        <div class="railway-badge">🚂 Powered by Railway</div>
-                        <div class="status-info">
-                            <strong>Status:</strong> ${isReady ? 'Fully Ready' : 'Authenticated (Loading...)'}<br>
-                            <strong>Ready to send messages:</strong> ${isReady ? 'Yes' : 'Almost ready...'}
-                        </div>
-                        <p>Your WhatsApp API is ${isReady ? 'ready to send messages' : 'connected and finishing setup'}.</p>
-                        <a href="/status" class="btn">📊 Check Status</a>
-                        <a href="/" class="btn">🏠 Home</a>
-                        ${!isReady ? '<button onclick="location.reload()" class="btn">🔄 Refresh Status</button>' : ''}
-                    </div>
-                    
-                    ${!isReady ? `
-                    <script>
-                        // Auto-refresh until fully ready
-                        setTimeout(() => {
-                            fetch('/status')
-                                .then(response => response.json())
-                                .then(data => {
-                                    if (data.connected && data.ready) {
-                                        location.reload();
-                                    }
-                                });
-                        }, 3000);
-                    </script>
-                    ` : ''}
-                </body>
-            </html>
-        `);
-    }
-
-    if (qrCode) {
-        return res.send(`
-            <!DOCTYPE html>
-            <html>
-                <head>
-                    <title>Scan WhatsApp QR Code - Railway</title>
-                    <meta name="viewport" content="width=device-width, initial-scale=1">
-                    <style>
-                        body { font-family: Arial, sans-serif; text-align: center; padding: 20px; background: #f5f5f5; }
-                        .container { max-width: 500px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-                        .qr-container { margin: 20px 0; padding: 20px; border: 2px solid #25D366; border-radius: 10px; background: white; }
-                        .btn { background: #25D366; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; margin: 10px; }
-                        .btn:hover { background: #1da851; }
-                        .railway-badge { background: #0f0f23; color: white; padding: 5px 10px; border-radius: 15px; font-size: 12px; margin: 10px 0; }
-                        .steps { text-align: left; margin: 20px 0; }
-                        .steps ol { padding-left: 20px; }
-                        .steps li { margin: 10px 0; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <h2>📱 Scan WhatsApp QR Code</h2>
-                        <div class="railway-badge">🚂 Powered by Railway</div>
-                        
-                        <div class="steps">
-                            <h3>How to scan:</h3>
-                            <ol>
-                                <li>Open <strong>WhatsApp</strong> on your phone</li>
-                                <li>Go to <strong>Settings</strong> → <strong>Linked Devices</strong></li>
-                                <li>Tap <strong>"Link a Device"</strong></li>
-                                <li>Scan the QR code below</li>
-                            </ol>
-                        </div>
-                        
-                        <div class="qr-container">
-                            <img src="${qrCode}" alt="WhatsApp QR Code" style="max-width: 100%; height: auto;">
-                        </div>
-                        
-                        <button onclick="location.reload()" class="btn">🔄 Refresh QR Code</button>
-                        <button onclick="checkStatus()" class="btn">✅ Check Connection</button>
-                        
-                        <script>
-                            function checkStatus() {
-                                fetch('/status')
-                                    .then(response => response.json())
-                                    .then(data => {
-                                        if (data.connected) {
-                                            alert('✅ Connected! Refreshing page...');
-                                            location.reload();
-                                        } else {
-                                            alert('⏳ Still connecting... Please scan the QR code.');
-                                        }
-                                    })
-                                    .catch(error => {
-                                        console.error('Error:', error);
-                                        alert('❌ Error checking status');
-                                    });
-                            }
-                            
-                            // Auto-refresh every 10 seconds
-                            setTimeout(() => location.reload(), 10000);
-                        </script>
-                    </div>
-                </body>
-            </html>
-        `);
-    }
-
-    res.send(`
-        <!DOCTYPE html>
-        <html>
-            <head>
-                <title>Loading WhatsApp - Railway</title>
-                <meta name="viewport" content="width=device-width, initial-scale=1">
-                <style>
-                    body { font-family: Arial, sans-serif; text-align: center; padding: 40px; background: #f5f5f5; }
-                    .container { max-width: 500px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-                    .spinner { border: 4px solid #f3f3f3; border-top: 4px solid #25D366; border-radius: 50%; width: 40px; height: 40px; animation: spin 1s linear infinite; margin: 20px auto; }
-                    @keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
-                    .railway-badge { background: #0f0f23; color: white; padding: 5px 10px; border-radius: 15px; font-size: 12px; margin: 10px 0; }
-                    .progress { background: #e9ecef; border-radius: 10px; height: 20px; margin: 20px 0; overflow: hidden; }
-                    .progress-bar { background: #25D366; height: 100%; width: 0%; transition: width 0.5s ease; }
-                    .status-text { color: #666; margin: 10px 0; }
-                </style>
-            </head>
-            <body>
-                <div class="container">
-                    <h2>⏳ Initializing WhatsApp...</h2>
-                    <div class="railway-badge">🚂 Powered by Railway</div>
-                    <div class="spinner"></div>
-                    <div class="progress">
-                        <div class="progress-bar" id="progressBar"></div>
-                    </div>
-                    <p class="status-text" id="statusText">Starting WhatsApp client...</p>
-                    <p>QR code will appear here shortly.</p>
-                    
-                    <script>
-                        let progress = 0;
-                        let attempts = 0;
-                        const maxAttempts = 60; // Railway has better performance
-                        
-                        function updateProgress() {
-                            progress = Math.min((attempts / maxAttempts) * 100, 95);
-                            document.getElementById('progressBar').style.width = progress + '%';
-                            
-                            if (attempts < 10) {
-                                document.getElementById('statusText').textContent = '🚂 Starting Railway WhatsApp client...';
-                            } else if (attempts < 20) {
-                                document.getElementById('statusText').textContent = '🌐 Loading WhatsApp Web...';
-                            } else if (attempts < 40) {
-                                document.getElementById('statusText').textContent = '📱 Generating QR code...';
-                            } else {
-                                document.getElementById('statusText').textContent = '⏳ Almost ready...';
-                            }
-                        }
-                        
-                        function checkForQR() {
-                            fetch('/status')
-                                .then(response => response.json())
-                                .then(data => {
-                                    attempts++;
-                                    updateProgress();
-                                    
-                                    console.log('Status check:', data);
-                                    
-                                    if (data.connected || data.hasQR) {
-                                        console.log('Connected or QR available, reloading...');
-                                        location.reload();
-                                    } else if (attempts >= maxAttempts) {
-                                        document.getElementById('statusText').textContent = 'Taking longer than expected. Please refresh.';
-                                        document.getElementById('progressBar').style.backgroundColor = '#dc3545';
-                                    } else {
-                                        setTimeout(checkForQR, 1000);
-                                    }
-                                })
-                                .catch(error => {
-                                    console.error('Error:', error);
-                                    attempts++;
-                                    updateProgress();
-                                    if (attempts < maxAttempts) {
-                                        setTimeout(checkForQR, 2000);
-                                    }
-                                });
-                        }
-                        
-                        // Start checking immediately
-                        checkForQR();
-                    </script>
-                </div>
-            </body>
-        </html>
-    `);
+app.get('/qr', requireScope('admin', { browser: true }), describe({
+    summary: 'QR code page to link the default session\'s WhatsApp account',
+    produces: 'text/html'
+}), (req, res) => {
+    res.send(renderQrPage(sessions.getDefault(), {
+        statusPath: '/status',
+        eventsPath: `/sessions/${DEFAULT_SESSION_ID}/events`
+    }));
 });
 
-// Status endpoint
-app.get('/status', (req, res) => {
+// Status endpoint (also served per session at /sessions/:sessionId/status)
+const sendStatus = (req, res) => {
+    const session = req.waSession;
     res.json({
-        connected: isAuthenticated || isReady,
-        ready: isReady,
-        authenticated: isAuthenticated,
-        hasQR: !!qrCode,
+        session: session.id,
+        connected: session.isAuthenticated || session.isReady,
+        ready: session.isReady,
+        authenticated: session.isAuthenticated,
+        hasQR: !!session.qrCode,
         timestamp: new Date().toISOString(),
         platform: 'Railway',
         uptime: process.uptime(),
-        initAttempts: initAttempts
+        initAttempts: session.initAttempts,
+        reconnect: sessions.describeRecovery(session),
+        queue: messageQueue.stats(session.id)
     });
-});
+};
+
+app.get('/status', resolveSession, describe({ summary: 'Connection status of the default session' }), sendStatus);
 
-// Health check for Railway
-app.get('/health', (req, res) => {
+// Summary for dashboards; always 200. Probes use /health/live and /health/ready.
+app.get('/health', describe({ summary: 'Health summary of every session; always 200' }), (req, res) => {
     res.json({ 
         status: 'ok', 
-        whatsapp: isReady ? 'connected' : 'disconnected',
+        whatsapp: sessions.getDefault().isReady ? 'connected' : 'disconnected',
+        sessions: sessions.list().map(session => ({ id: session.id, ready: session.isReady })),
         platform: 'Railway',
         timestamp: new Date().toISOString()
     });
 });
 
+const respondWithProbe = (res, result, extra = {}) => {
+    res.status(result.status === 'pass' ? 200 : 503).json({ ...result, ...extra, timestamp: new Date().toISOString() });
+};
+
+// Liveness: 503 only when this process is stuck and should be restarted
+app.get('/health/live', describe({
+    summary: 'Liveness probe: event loop delay and heap use',
+    description: '503 when the process should be restarted. Does not look at WhatsApp, so a QR scan or a reconnect never triggers a restart.'
+}), async (req, res) => {
+    respondWithProbe(res, await health.liveness());
+});
+
+// Readiness (also served per session at /sessions/:sessionId/health/ready)
+const sendReadiness = async (req, res) => {
+    respondWithProbe(res, await health.readiness(req.waSession), { session: req.waSession.id });
+};
+
+app.get('/health/ready', resolveSession, describe({
+    summary: 'Readiness probe for the default session',
+    description: '503 while the client is starting, waiting for a QR scan or reconnecting, when getState() or the page does not answer, '
+        + 'or when due messages have waited READINESS_SEND_STALL_MS with nothing sent or acknowledged.'
+}), sendReadiness);
+
 // Home page
-app.get('/', (req, res) => {
+app.get('/', describe({ summary: 'Home page', produces: 'text/html' }), (req, res) => {
+    const { isReady } = sessions.getDefault();
     res.send(`
         <html>
             <head>
@@ -527,461 +221,254 @@ app.get('/', (req, res) => {
     `);
 });
 
-// ✅ ENHANCED Send message endpoint with LID fix
-app.post('/send', async (req, res) => {
-    try {
-        if (!isReady || !client) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'WhatsApp not connected. Scan QR code first.' 
-            });
-        }
-
-        const { phone, message } = req.body;
-
-        if (!phone || !message) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Phone and message are required' 
-            });
-        }
-
-        // Format phone number
-        let formattedPhone = phone.trim();
-        if (!formattedPhone.includes('@c.us')) {
-            // Remove any non-digit characters
-            formattedPhone = formattedPhone.replace(/\D/g, '');
-            // Add country code if not present (assuming India +91)
-            if (!formattedPhone.startsWith('91') && formattedPhone.length === 10) {
-                formattedPhone = '91' + formattedPhone;
-            }
-            formattedPhone = `${formattedPhone}@c.us`;
-        }
+const chatPreparer = createChatPreparer();
+const contacts = createContactDirectory();
+const governor = createSendGovernor();
+const optOuts = createOptOutList();
+const templates = createTemplateStore();
+const idempotency = createIdempotencyStore();
+
+// The queue and the scheduler hand their work to the send pipeline, which in
+// turn needs both; the arrows defer the lookup until the first job runs
+const messageQueue = createMessageQueue({ processor: (job) => metrics.timeSend(job, () => sendPipeline.deliver(job)) });
+const bulkJobs = createBulkJobManager({ messageQueue, governor, optOuts });
+const metrics = createMetrics({ sessions, messageQueue, bulkJobs });
+const health = createHealthChecks({ sessions, messageQueue });
+const scheduler = createScheduler({ send: (schedule) => sendPipeline.sendScheduled(schedule), messageQueue });
+const sendPipeline = createSendPipeline({
+    sessions,
+    messageQueue,
+    bulkJobs,
+    scheduler,
+    chatPreparer,
+    governor,
+    optOuts,
+    templates,
+    idempotency
+});
 
-        console.log(`📤 Attempting to send to ${formattedPhone}...`);
+const webhooks = createWebhookDispatcher();
+const eventStream = createEventStream();
+const messageTracker = createMessageTracker();
 
-        // STEP 1: Ensure chat exists (Fixes "No LID" error)
-        try {
-            await ensureChatExists(formattedPhone);
-            console.log(`✅ Chat verified/created for ${formattedPhone}`);
-        } catch (chatError) {
-            console.error(`❌ Chat preparation failed for ${formattedPhone}:`, chatError.message);
-            // If chat creation fails, try direct send anyway
-            console.log(`⚠️ Bypassing chat check, trying direct send...`);
-        }
+messageQueue.on('sent', messageTracker.recordSent);
 
-        // STEP 2: Send the actual message
-        console.log(`📝 Sending message to ${formattedPhone}...`);
-        
-        // Add small delay to ensure chat is ready
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        const result = await client.sendMessage(formattedPhone, message);
-
-        console.log(`✅ Message sent successfully to ${formattedPhone}`);
-        res.json({ 
-            success: true, 
-            messageId: result.id.id,
-            phone: formattedPhone,
-            timestamp: new Date().toISOString()
-        });
+// Attachments stay on disk until nothing can send them any more
+messageQueue.on('sent', (job) => !job.batchId && removeMedia(job.media));
+messageQueue.on('removed', (job) => !job.batchId && removeMedia(job.media));
+bulkJobs.on('released', (job) => removeMedia(job.media));
 
-    } catch (error) {
-        console.error('❌ Send error:', error.message);
-        
-        let errorMessage = error.message;
-        let errorCode = 'SEND_ERROR';
-
-        // Handle specific error cases
-        if (error.message.includes('No LID') || error.message.includes('LID')) {
-            errorMessage = 'Cannot send message to this contact. The contact might have strict privacy settings or has blocked you.';
-            errorCode = 'NO_LID_ERROR';
-        } else if (error.message.includes('not registered')) {
-            errorMessage = 'This phone number is not registered on WhatsApp.';
-            errorCode = 'NOT_REGISTERED';
-        } else if (error.message.includes('blocked')) {
-            errorMessage = 'You have been blocked by this contact.';
-            errorCode = 'BLOCKED';
-        } else if (error.message.includes('timeout')) {
-            errorMessage = 'Message sending timed out. Please try again.';
-            errorCode = 'TIMEOUT';
-        }
+// A direct message that is just an opt-out keyword (STOP, UNSUBSCRIBE, ...)
+// puts the sender on the opt-out list, with an optional confirmation reply
+const handleOptOutKeyword = async (session, msg) => {
+    if (msg.fromMe || !/@(c\.us|lid)$/.test(msg.from)) return;
+    const keyword = optOuts.matchKeyword(msg.body);
+    if (!keyword) return;
 
-        res.status(500).json({ 
-            success: false, 
-            error: errorMessage,
-            errorCode: errorCode,
-            details: error.message
-        });
+    // Senders hidden behind a LID are resolved to their phone number
+    const phone = msg.from.endsWith('@lid') ? (await msg.getContact()).number : msg.from;
+    if (!phone) {
+        logger.warn('Opt-out ignored: no phone number available', { session: session.id, from: msg.from });
+        return;
     }
-});
 
-// ✅ Alternative endpoint for /send-message (client compatibility)
-app.post('/send-message', async (req, res) => {
-    try {
-        if (!isReady || !client) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'WhatsApp not connected. Scan QR code first.' 
-            });
-        }
+    const { entry, created } = optOuts.add(phone, { source: 'keyword', keyword, sessionId: session.id });
+    if (!created) return;
+    webhooks.dispatch('opt_out', { sessionId: session.id, ...entry, from: msg.from, messageId: msg.id.id });
 
-        const { phone, message } = req.body;
+    if (optOuts.confirmationMessage && session.isReady) {
+        await session.client.sendMessage(msg.from, optOuts.confirmationMessage);
+    }
+};
 
-        if (!phone || !message) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Phone and message are required' 
-            });
-        }
+// Session lifecycle drives the queue; client activity feeds receipts and webhooks
+sessions.on('ready', (session) => messageQueue.start(session.id));
+['auth_failure', 'disconnected', 'stopped'].forEach(event => {
+    sessions.on(event, (session) => messageQueue.stop(session.id));
+});
+sessions.on('removed', (session) => {
+    // Bulk jobs go first so none of them queues another recipient for the session
+    bulkJobs.discardSession(session.id);
+    messageQueue.discardSession(session.id);
+});
+['stopped', 'removed'].forEach(event => {
+    sessions.on(event, (session) => {
+        chatPreparer.clearSession(session.id);
+        contacts.clearSession(session.id);
+    });
+});
 
-        // Format phone number
-        let formattedPhone = phone.trim();
-        if (!formattedPhone.includes('@c.us')) {
-            // Remove any non-digit characters
-            formattedPhone = formattedPhone.replace(/\D/g, '');
-            // Add country code if not present (assuming India +91)
-            if (!formattedPhone.startsWith('91') && formattedPhone.length === 10) {
-                formattedPhone = '91' + formattedPhone;
-            }
-            formattedPhone = `${formattedPhone}@c.us`;
-        }
+sessions.on('message', (session, msg) => {
+    logger.info('Message received', { session: session.id, from: msg.from });
+    const event = { sessionId: session.id, ...serializeMessage(msg) };
+    webhooks.dispatch('message', event);
+    eventStream.publish('message', event);
+    handleOptOutKeyword(session, msg).catch(error => {
+        logger.error('Opt-out handling failed', { session: session.id, from: msg.from, error });
+    });
+});
 
-        console.log(`📤 Attempting to send to ${formattedPhone}...`);
+sessions.on('message_ack', (session, msg, ack) => {
+    messageTracker.recordAck(msg, ack);
+    const event = { sessionId: session.id, ...serializeMessage(msg), ack };
+    webhooks.dispatch('message_ack', event);
+    eventStream.publish('message_ack', event);
+});
 
-        // STEP 1: Ensure chat exists (Fixes "No LID" error)
-        try {
-            await ensureChatExists(formattedPhone);
-            console.log(`✅ Chat verified/created for ${formattedPhone}`);
-        } catch (chatError) {
-            console.error(`❌ Chat preparation failed for ${formattedPhone}:`, chatError.message);
-            // If chat creation fails, try direct send anyway
-            console.log(`⚠️ Bypassing chat check, trying direct send...`);
-        }
+sessions.on('message_revoke_everyone', (session, after, before) => {
+    webhooks.dispatch('message_revoke_everyone', {
+        sessionId: session.id,
+        ...serializeMessage(after),
+        revokedBody: before ? before.body : null
+    });
+});
 
-        // STEP 2: Send the actual message
-        console.log(`📝 Sending message to ${formattedPhone}...`);
-        
-        // Add small delay to ensure chat is ready
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        const result = await client.sendMessage(formattedPhone, message);
-
-        console.log(`✅ Message sent successfully to ${formattedPhone}`);
-        res.json({ 
-            success: true, 
-            messageId: result.id.id,
-            phone: formattedPhone,
-            timestamp: new Date().toISOString()
-        });
+// Participants joining, leaving or changing admin status, and subject/description/settings changes
+['group_join', 'group_leave', 'group_admin_changed', 'group_update'].forEach(event => {
+    sessions.on(event, (session, notification) => {
+        webhooks.dispatch(event, { sessionId: session.id, ...serializeGroupNotification(notification) });
+    });
+});
 
+// Lifecycle and bulk progress for /events subscribers (the QR page among them)
+sessions.on('qr', (session) => eventStream.publish('qr', { sessionId: session.id, qrCode: session.qrCode }));
+['authenticated', 'ready'].forEach(event => {
+    sessions.on(event, (session) => eventStream.publish(event, { sessionId: session.id }));
+});
+sessions.on('auth_failure', (session, message) => eventStream.publish('auth_failure', { sessionId: session.id, message }));
+sessions.on('disconnected', (session, reason) => eventStream.publish('disconnected', { sessionId: session.id, reason }));
+sessions.on('loading_screen', (session, percent, message) => {
+    eventStream.publish('loading_screen', { sessionId: session.id, percent, message });
+});
+bulkJobs.on('progress', (job) => eventStream.publish('bulk_progress', bulkJobs.describe(job, { includeResults: false })));
+bulkJobs.on('finished', (job) => eventStream.publish('bulk_finished', bulkJobs.describe(job, { includeResults: false })));
+
+app.use(queueRoutes({ messageQueue, requireScope }));
+app.use(bulkJobRoutes({ bulkJobs, requireScope }));
+app.use(webhookRoutes({ webhooks, requireScope }));
+app.use(messageRoutes({ messageTracker, requireScope }));
+app.use(sessionRoutes({ sessions, resolveSession, requireScope, renderQrPage, sendStatus, sendReadiness }));
+app.use(eventRoutes({ eventStream, sessions, authenticateQuery, hasScope, requireScope }));
+
+app.use(templateRoutes({ templates, requireScope }));
+
+scheduler.on('finished', (schedule) => removeMedia(schedule.media));
+sessions.on('removed', (session) => scheduler.discardSession(session.id));
+app.use(scheduleRoutes({ scheduler, requireScope }));
+app.use(numberRoutes({ contacts, resolveSession, requireScope }));
+app.use(rateLimitRoutes({ governor, resolveSession, requireScope }));
+app.use(optOutRoutes({ optOuts, requireScope }));
+
+app.use(sendRoutes({
+    sendPipeline,
+    idempotency,
+    messageQueue,
+    bulkJobs,
+    scheduler,
+    resolveSession,
+    requireScope
+}));
+app.use(chatRoutes({ resolveSession, requireScope }));
+app.use(groupRoutes({ resolveSession, requireScope }));
+app.use(contactRoutes({ contacts, resolveSession, requireScope }));
+app.use(messageActionRoutes({ messageTracker, sendPipeline, resolveSession, requireScope }));
+
+// Prometheus scrape endpoint; give the scraper a key with only the metrics scope
+app.get('/metrics', requireScope('metrics'), describe({
+    summary: 'Prometheus metrics: sends, failures by error code, send latency, queue depth, reconnects, client state and browser memory',
+    produces: 'text/plain'
+}), async (req, res) => {
+    try {
+        res.type(METRICS_CONTENT_TYPE).send(await metrics.render());
     } catch (error) {
-        console.error('❌ Send error:', error.message);
-        
-        let errorMessage = error.message;
-        let errorCode = 'SEND_ERROR';
-
-        // Handle specific error cases
-        if (error.message.includes('No LID') || error.message.includes('LID')) {
-            errorMessage = 'Cannot send message to this contact. The contact might have strict privacy settings or has blocked you.';
-            errorCode = 'NO_LID_ERROR';
-        } else if (error.message.includes('not registered')) {
-            errorMessage = 'This phone number is not registered on WhatsApp.';
-            errorCode = 'NOT_REGISTERED';
-        } else if (error.message.includes('blocked')) {
-            errorMessage = 'You have been blocked by this contact.';
-            errorCode = 'BLOCKED';
-        } else if (error.message.includes('timeout')) {
-            errorMessage = 'Message sending timed out. Please try again.';
-            errorCode = 'TIMEOUT';
-        }
-
-        res.status(500).json({ 
-            success: false, 
-            error: errorMessage,
-            errorCode: errorCode,
-            details: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// ✅ BULK Send with improved error handling
-app.post('/send-bulk', async (req, res) => {
-    try {
-        if (!isReady || !client) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'WhatsApp not connected. Scan QR code first.' 
-            });
-        }
-
-        const { contacts, message } = req.body;
+// The OpenAPI document is built from the mounted routes on first use, once all
+// of them are registered
+let openApiDocument = null;
+const apiDocument = () => openApiDocument || (openApiDocument = buildOpenApiDocument(app));
 
-        if (!contacts || !Array.isArray(contacts) || !message) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Contacts array and message are required' 
-            });
-        }
-
-        const results = [];
-        console.log(`📤 Starting bulk send to ${contacts.length} contacts...`);
-
-        for (let i = 0; i < contacts.length; i++) {
-            const contact = contacts[i];
-            try {
-                // Format phone number
-                let phoneNumber = contact.phone || contact;
-                if (!phoneNumber.includes('@c.us')) {
-                    phoneNumber = phoneNumber.replace(/\D/g, '');
-                    if (!phoneNumber.startsWith('91') && phoneNumber.length === 10) {
-                        phoneNumber = '91' + phoneNumber;
-                    }
-                    phoneNumber = `${phoneNumber}@c.us`;
-                }
-
-                console.log(`Processing ${i+1}/${contacts.length}: ${phoneNumber}`);
-
-                // Try to ensure chat exists (with error suppression)
-                try {
-                    await ensureChatExists(phoneNumber);
-                } catch (chatError) {
-                    console.log(`⚠️ Chat prep warning for ${phoneNumber}: ${chatError.message}`);
-                    // Continue anyway - some contacts might still work
-                }
-
-                // Add delay between messages
-                if (i > 0) {
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                }
-
-                // Send message
-                const result = await client.sendMessage(phoneNumber, message);
-                
-                results.push({
-                    phone: phoneNumber,
-                    success: true,
-                    messageId: result.id.id,
-                    timestamp: new Date().toISOString()
-                });
-
-                console.log(`✅ Sent to ${phoneNumber}`);
-
-            } catch (error) {
-                console.error(`❌ Failed for ${contact.phone || contact}:`, error.message);
-                
-                results.push({
-                    phone: contact.phone || contact,
-                    success: false,
-                    error: error.message,
-                    errorCode: error.message.includes('No LID') ? 'NO_LID' : 'SEND_ERROR'
-                });
-            }
-        }
-
-        // Calculate statistics
-        const successful = results.filter(r => r.success).length;
-        const failed = results.filter(r => !r.success).length;
-
-        console.log(`📊 Bulk send complete: ${successful} successful, ${failed} failed`);
-
-        res.json({
-            success: true,
-            summary: {
-                total: contacts.length,
-                successful: successful,
-                failed: failed
-            },
-            results: results,
-            timestamp: new Date().toISOString()
-        });
+app.get('/openapi.json', describe({ summary: 'This API as an OpenAPI 3.1 document' }), (req, res) => {
+    res.json(apiDocument());
+});
 
-    } catch (error) {
-        console.error('❌ Bulk send error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
+// API Endpoints documentation, rendered from the same document
+app.get('/endpoints', describe({ summary: 'This list of endpoints', produces: 'text/html' }), (req, res) => {
+    res.send(renderEndpointsPage(apiDocument(), { whatsappReady: sessions.getDefault().isReady }));
 });
 
-// Get chat list
-app.get('/chats', async (req, res) => {
+// Logout endpoint
+const logoutSession = async (req, res) => {
     try {
-        if (!isReady || !client) {
-            return res.status(400).json({
-                success: false,
-                error: 'WhatsApp client not ready'
-            });
+        const session = req.waSession;
+        if (!session.client) {
+            return sendError(res, apiError('SESSION_NOT_RUNNING', 'WhatsApp client not initialized'));
         }
 
-        const chats = await client.getChats();
-        const chatList = chats.slice(0, 20).map(chat => ({
-            id: chat.id._serialized,
-            name: chat.name,
-            isGroup: chat.isGroup,
-            lastMessage: chat.lastMessage?.body || '',
-            timestamp: chat.timestamp
-        }));
+        req.log.info('Logout requested', { session: session.id });
+        await sessions.logout(session);
 
+        req.log.info('Logged out', { session: session.id });
         res.json({
             success: true,
-            chats: chatList
+            message: `Logged out successfully. POST /sessions/${session.id}/start to link a device again.`
         });
-
     } catch (error) {
-        console.error('Error getting chats:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        req.log.error('Logout failed', { session: req.waSession.id, error });
+        sendError(res, apiError('SESSION_ERROR', 'Logout failed', { details: error.message }));
     }
-});
+};
 
-// API Endpoints documentation
-app.get('/endpoints', (req, res) => {
-    res.send(`
-        <html>
-            <head>
-                <title>API Endpoints - Railway WhatsApp</title>
-                <meta name="viewport" content="width=device-width, initial-scale=1">
-                <style>
-                    body { font-family: Arial, sans-serif; padding: 20px; background: #f5f5f5; }
-                    .container { max-width: 800px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-                    .railway-badge { background: #0f0f23; color: white; padding: 5px 10px; border-radius: 15px; font-size: 12px; margin: 10px 0; }
-                    .endpoint { background: #f8f9fa; padding: 15px; margin: 10px 0; border-radius: 5px; border-left: 4px solid #25D366; }
-                    .method { background: #25D366; color: white; padding: 2px 8px; border-radius: 3px; font-size: 12px; }
-                    .method.get { background: #007bff; }
-                    .method.post { background: #28a745; }
-                    code { background: #e9ecef; padding: 2px 4px; border-radius: 3px; }
-                    .btn { background: #25D366; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; text-decoration: none; display: inline-block; margin: 5px; }
-                </style>
-            </head>
-            <body>
-                <div class="container">
-                    <h1>📋 API Endpoints</h1>
-                    <div class="railway-badge">🚂 Railway WhatsApp API</div>
-                    
-                    <h3>📱 WhatsApp Endpoints</h3>
-                    
-                    <div class="endpoint">
-                        <span class="method post">POST</span> <code>/send</code>
-                        <p>Send a single WhatsApp message</p>
-                        <pre>{"phone": "919876543210", "message": "Hello!"}</pre>
-                    </div>
-                    
-                    <div class="endpoint">
-                        <span class="method post">POST</span> <code>/send-message</code>
-                        <p>Alternative endpoint for sending messages (client compatibility)</p>
-                        <pre>{"phone": "919876543210", "message": "Hello!"}</pre>
-                    </div>
-                    
-                    <div class="endpoint">
-                        <span class="method post">POST</span> <code>/send-bulk</code>
-                        <p>Send messages to multiple contacts</p>
-                        <pre>{"contacts": [{"phone": "919876543210"}], "message": "Bulk message"}</pre>
-                    </div>
-                    
-                    <h3>🔧 System Endpoints</h3>
-                    
-                    <div class="endpoint">
-                        <span class="method get">GET</span> <code>/qr</code>
-                        <p>Display QR code for WhatsApp authentication</p>
-                    </div>
-                    
-                    <div class="endpoint">
-                        <span class="method get">GET</span> <code>/status</code>
-                        <p>Get WhatsApp connection status (JSON)</p>
-                    </div>
-                    
-                    <div class="endpoint">
-                        <span class="method get">GET</span> <code>/health</code>
-                        <p>Health check endpoint</p>
-                    </div>
-                    
-                    <div class="endpoint">
-                        <span class="method get">GET</span> <code>/chats</code>
-                        <p>Get recent WhatsApp chats</p>
-                    </div>
-                    
-                    <div class="endpoint">
-                        <span class="method post">POST</span> <code>/logout</code>
-                        <p>Logout from WhatsApp</p>
-                    </div>
-                    
-                    <h3>📊 Current Status</h3>
-                    <p><strong>WhatsApp:</strong> ${isReady ? '✅ Connected' : '❌ Not Connected'}</p>
-                    <p><strong>Server:</strong> ✅ Running</p>
-                    <p><strong>Platform:</strong> Railway</p>
-                    
-                    <a href="/" class="btn">🏠 Home</a>
-                    <a href="/qr" class="btn">📱 QR Code</a>
-                    <a href="/status" class="btn">📊 Status</a>
-                </div>
-            </body>
-        </html>
-    `);
+const logoutSpec = describeRoute({
+    tag: 'Sessions',
+    summary: 'Log the device out; the session stays and can link a device again'
 });
+app.post('/logout', requireScope('admin'), resolveSession, logoutSpec, logoutSession);
+app.post('/sessions/:sessionId/logout', requireScope('admin'), resolveSession, logoutSpec, logoutSession);
 
-// Logout endpoint
-app.post('/logout', async (req, res) => {
-    try {
-        if (!client) {
-            return res.status(400).json({
-                success: false,
-                message: 'WhatsApp client not initialized'
-            });
-        }
-
-        console.log('🚪 Logout requested...');
-        await client.logout();
-
-        // Reset states
-        isReady = false;
-        isAuthenticated = false;
-        qrCode = null;
-        clientInitialized = false;
+// Unknown paths answer in the usual error shape instead of Express's HTML page
+app.use((req, res) => {
+    sendError(res, apiError('ROUTE_NOT_FOUND', `No endpoint for ${req.method} ${req.path}; see /endpoints`));
+});
 
-        console.log('✅ Logged out successfully');
-        res.json({
-            success: true,
-            message: 'Logged out successfully. Please restart the server to reconnect.'
-        });
-    } catch (error) {
-        console.error('❌ Logout error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Logout failed',
-            error: error.message
-        });
+// Body parser failures (oversized or malformed JSON) and anything a route let escape
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    if (error.type === 'entity.too.large') {
+        return sendError(res, apiError('PAYLOAD_TOO_LARGE', `Request body exceeds the ${Math.round(error.limit / 1024 / 1024)} MB limit`));
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, apiError('INVALID_JSON', 'Request body is not valid JSON'));
     }
+    sendError(res, error, error.status < 500 ? 'INVALID_REQUEST' : 'INTERNAL_ERROR');
 });
 
 // Start server
 app.listen(PORT, () => {
-    console.log(`🚂 WhatsApp API Server running on Railway`);
-    console.log(`🌐 Port: ${PORT}`);
-    console.log(`🔗 Access your app at: https://your-app-name.up.railway.app`);
-    console.log(`📱 QR Code: https://your-app-name.up.railway.app/qr`);
-    
-    // Initialize WhatsApp client
-    initWhatsAppClient();
+    logger.info('WhatsApp API server running', { port: PORT, qrPage: '/qr', endpoints: '/endpoints' });
+
+    // Initialize WhatsApp clients for every auto-start session
+    sessions.startAll();
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-    console.log('🛑 Shutting down WhatsApp client...');
-    if (client) {
-        await client.destroy();
-    }
+    logger.info('Shutting down', { signal: 'SIGINT' });
+    messageTracker.flush();
+    governor.flush();
+    idempotency.flush();
+    await sessions.destroyAll();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-    console.log('🛑 Received SIGTERM, shutting down gracefully...');
-    if (client) {
-        await client.destroy();
-    }
+    logger.info('Shutting down', { signal: 'SIGTERM' });
+    messageTracker.flush();
+    governor.flush();
+    idempotency.flush();
+    await sessions.destroyAll();
     process.exit(0);
 });
 
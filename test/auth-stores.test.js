@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+const { createAuthStoreFromEnv } = require('../lib/auth-stores');
+
+// RemoteAuth leaves the archive to save at ./<session>.zip
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-stores-test-'));
+process.chdir(workDir);
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const roundTrip = async (store) => {
+    const session = `RemoteAuth-${store.type}`;
+    const archive = Buffer.from(`archive for ${store.type}`);
+    assert.equal(await store.sessionExists({ session }), false);
+
+    fs.writeFileSync(`${session}.zip`, archive);
+    await store.save({ session });
+    fs.rmSync(`${session}.zip`);
+    assert.equal(await store.sessionExists({ session }), true);
+
+    const target = path.join(workDir, `${session}-restored.zip`);
+    await store.extract({ session, path: target });
+    assert.deepEqual(fs.readFileSync(target), archive);
+
+    await store.delete({ session });
+    assert.equal(await store.sessionExists({ session }), false);
+};
+
+test('memory store saves, extracts and deletes an archive', async () => {
+    const store = createAuthStoreFromEnv({ AUTH_STORE: 'memory' });
+    assert.equal(store.type, 'memory');
+    await roundTrip(store);
+    await assert.rejects(store.extract({ session: 'missing', path: path.join(workDir, 'x.zip') }), { errorCode: 'AUTH_STORE_ERROR' });
+});
+
+test('directory store saves, extracts and deletes an archive', async () => {
+    const store = createAuthStoreFromEnv({ AUTH_STORE: 'directory', AUTH_STORE_DIR: path.join(workDir, 'archives') });
+    assert.equal(store.type, 'directory');
+    await roundTrip(store);
+});
+
+test('AUTH_STORE is checked', () => {
+    assert.equal(createAuthStoreFromEnv({}), null);
+    assert.throws(() => createAuthStoreFromEnv({ AUTH_STORE: 'directory' }), /AUTH_STORE_DIR/);
+    assert.throws(() => createAuthStoreFromEnv({ AUTH_STORE: 's3', S3_BUCKET: 'b' }), /S3_ENDPOINT/);
+    assert.throws(() => createAuthStoreFromEnv({ AUTH_STORE: 'constructor' }), /Unknown AUTH_STORE "constructor"/);
+});
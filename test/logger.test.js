@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { maskPhones } = require('../lib/logger');
+
+test('maskPhones keeps the first two and last four digits', () => {
+    assert.equal(maskPhones('Sent to +919876543210'), 'Sent to +91******3210');
+    assert.equal(maskPhones('9876543210 and 12345678'), '98****3210 and 12**5678');
+    assert.equal(maskPhones('from 919876543210@c.us'), 'from 91******3210@c.us');
+    assert.equal(maskPhones('false_919876543210@c.us_3EB0C767D26A1D0A8E3F'), 'false_91******3210@c.us_3EB0C767D26A1D0A8E3F');
+});
+
+test('maskPhones leaves ids and other numbers alone', () => {
+    [
+        'order 1234567',
+        '1234567890123456',
+        '120363025246125486@g.us',
+        '123e4567-e89b-12d3-a456-426614174000',
+        'message 3EB012345678901'
+    ].forEach(text => assert.equal(maskPhones(text), text));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePhone, resolveChatId, toChatId } = require('../lib/phone');
+
+test('parsePhone reads national, international and chat id forms', () => {
+    ['+91 98765 43210', '098765 43210', '9876543210', '0091 98765 43210', '919876543210@c.us']
+        .forEach(input => assert.equal(parsePhone(input).e164, '+919876543210', input));
+
+    const parsed = parsePhone('+91 98765 43210');
+    assert.equal(parsed.country, 'IN');
+    assert.equal(parsed.nationalNumber, '9876543210');
+    assert.equal(parsed.chatId, '919876543210@c.us');
+});
+
+test('parsePhone reads international digits without a "+"', () => {
+    assert.equal(toChatId('14155552671'), '14155552671@c.us');
+});
+
+test('parsePhone reads numbers in the given country', () => {
+    assert.equal(parsePhone('(415) 555-2671', { country: 'us' }).e164, '+14155552671');
+});
+
+test('parsePhone rejects missing, invalid and unknown-country input', () => {
+    [undefined, null, '  ', '12345', 'not a number'].forEach(input => {
+        assert.throws(() => parsePhone(input), { errorCode: 'INVALID_PHONE' }, String(input));
+    });
+    assert.throws(() => parsePhone('9876543210', { country: 'XX' }), { errorCode: 'INVALID_PHONE' });
+});
+
+test('resolveChatId passes group ids and LIDs through', () => {
+    assert.equal(resolveChatId('120363025246125486@g.us'), '120363025246125486@g.us');
+    assert.equal(resolveChatId('919876543210-1600000000@g.us'), '919876543210-1600000000@g.us');
+    assert.equal(resolveChatId(' 123456789012345@lid '), '123456789012345@lid');
+    assert.equal(resolveChatId('+91 98765 43210'), '919876543210@c.us');
+});
+
+test('resolveChatId rejects malformed group ids and LIDs', () => {
+    ['abc@g.us', '@g.us', '12ab@lid', 'x@lid'].forEach(input => {
+        assert.throws(() => resolveChatId(input), { errorCode: 'INVALID_PHONE' }, input);
+    });
+});
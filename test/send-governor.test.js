@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'send-governor-test-'));
+Object.assign(process.env, {
+    RATE_GLOBAL_PER_MINUTE: '8',
+    RATE_GLOBAL_PER_HOUR: '0',
+    RATE_GLOBAL_PER_DAY: '100',
+    RATE_RECIPIENT_PER_HOUR: '3',
+    RATE_RECIPIENT_PER_DAY: '10',
+    SEND_MIN_GAP_MS: '50',
+    SEND_JITTER_MS: '0'
+});
+const { LIMITS, createSendGovernor } = require('../lib/send-governor');
+
+// Flushed before cleanup so no pending save recreates the data dir
+const governors = [];
+const newGovernor = () => {
+    const governor = createSendGovernor();
+    governors.push(governor);
+    return governor;
+};
+
+test.after(() => {
+    governors.forEach(governor => governor.flush());
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('a limit of 0 is turned off', () => {
+    assert.deepEqual(LIMITS.map(limit => `${limit.scope}/${limit.window}`),
+        ['global/minute', 'global/day', 'recipient/hour', 'recipient/day']);
+});
+
+test('admit enforces the per-recipient limit', () => {
+    const governor = newGovernor();
+    for (let i = 0; i < 3; i++) governor.admit('recipient', '919876543210');
+
+    assert.throws(() => governor.admit('recipient', '919876543210'), (error) => {
+        assert.equal(error.errorCode, 'RATE_LIMITED');
+        assert.deepEqual(error.limit, { scope: 'recipient', window: 'hour', max: 3 });
+        assert.equal(error.retryAfter, 3600);
+        return true;
+    });
+    // Other recipients and other sessions are unaffected
+    governor.admit('recipient', '919123456789');
+    governor.admit('other', '919876543210');
+});
+
+test('admit enforces the per-account limit across recipients', () => {
+    const governor = newGovernor();
+    for (let i = 0; i < 8; i++) governor.admit('global', `9198765432${String(i).padStart(2, '0')}`);
+
+    assert.throws(() => governor.admit('global', '919123456789'), (error) => {
+        assert.equal(error.errorCode, 'RATE_LIMITED');
+        assert.deepEqual(error.limit, { scope: 'global', window: 'minute', max: 8 });
+        assert.equal(error.retryAfter, 60);
+        return true;
+    });
+    assert.equal(governor.check('global', '919123456789').limit.window, 'minute');
+});
+
+test('usage reports what is left in each window', () => {
+    const governor = newGovernor();
+    governor.admit('usage', '919876543210');
+
+    const view = governor.usage('usage', '919876543210');
+    assert.deepEqual(view.global.map(({ window, used, remaining }) => ({ window, used, remaining })), [
+        { window: 'minute', used: 1, remaining: 7 },
+        { window: 'day', used: 1, remaining: 99 }
+    ]);
+    assert.equal(view.activeRecipients, 1);
+    assert.equal(view.recipient.limits[0].remaining, 2);
+    assert.deepEqual(view.pacing, { minGapMs: 50, jitterMs: 0 });
+});
+
+test('counts survive a restart once flushed', () => {
+    const governor = newGovernor();
+    for (let i = 0; i < 3; i++) governor.admit('restart', '919876543210');
+    governor.flush();
+
+    assert.throws(() => newGovernor().admit('restart', '919876543210'), { errorCode: 'RATE_LIMITED' });
+});
+
+test('pace spaces out sends from the same account', async () => {
+    const governor = newGovernor();
+    await governor.pace('pace');
+    const started = Date.now();
+    await governor.pace('pace');
+    assert.ok(Date.now() - started >= 40, 'second send waited for the gap');
+
+    const other = Date.now();
+    await governor.pace('another');
+    assert.ok(Date.now() - other < 40, 'other accounts are not held back');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-test-'));
+const { createTemplateStore, render, renderForContacts } = require('../lib/templates');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('render fills placeholders and applies helpers left to right', () => {
+    const { text, missing } = render(
+        'Hi {{ name | default:"Customer" | upper }}, {{ emi | inr }} is due on {{ due | date:long }}',
+        { emi: '1,500', due: '2026-10-19' }
+    );
+    assert.equal(text, 'Hi CUSTOMER, ₹1,500.00 is due on 19 October 2026');
+    assert.deepEqual(missing, []);
+});
+
+test('render reports placeholders without a value or default', () => {
+    const { text, missing } = render('Dear {{name}}, ref {{ ref }}', { ref: 42 });
+    assert.equal(text, 'Dear , ref 42');
+    assert.deepEqual(missing, ['name']);
+});
+
+test('render only reads own variables and helpers', () => {
+    const { text, missing } = render('{{constructor}}{{ toString }}{{ value | constructor }}', { value: 'x' });
+    assert.equal(text, 'x');
+    assert.deepEqual(missing, ['constructor', 'toString']);
+});
+
+test('renderForContacts layers defaults, request variables and contact fields', () => {
+    const template = { body: '{{greeting}} {{name}} ({{phone}})', defaults: { greeting: 'Hello', name: 'there' } };
+    const rendered = renderForContacts(template, ['9876543210', { phone: '9123456789', name: 'Asha' }], { greeting: 'Hi' });
+    assert.deepEqual(rendered, [
+        { phone: '9876543210', text: 'Hi there (9876543210)', missing: [] },
+        { phone: '9123456789', text: 'Hi Asha (9123456789)', missing: [] }
+    ]);
+});
+
+test('template store validates names and helpers', () => {
+    const templates = createTemplateStore();
+    templates.create({ name: 'emi_reminder', body: 'EMI {{ amount | inr }}' });
+
+    assert.throws(() => templates.create({ name: 'emi_reminder', body: 'x' }), { errorCode: 'TEMPLATE_EXISTS' });
+    assert.throws(() => templates.create({ name: 'bad name', body: 'x' }), { errorCode: 'INVALID_TEMPLATE' });
+    assert.throws(() => templates.create({ name: 'other', body: '{{ a | shout }}' }), { errorCode: 'INVALID_TEMPLATE' });
+    assert.throws(() => templates.create({ name: 'proto', body: '{{ a | constructor }}' }), { errorCode: 'INVALID_TEMPLATE' });
+    assert.throws(() => templates.require('missing'), { errorCode: 'TEMPLATE_NOT_FOUND' });
+    assert.equal(templates.require('emi_reminder').body, 'EMI {{ amount | inr }}');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema } = require('../lib/validation');
+
+const sendSchema = {
+    type: 'object',
+    required: ['phone', 'message'],
+    properties: {
+        phone: { type: 'string', minLength: 1 },
+        message: { type: 'string', maxLength: 10 },
+        priority: { type: 'string', enum: ['high', 'normal', 'low'] },
+        delaySeconds: { type: 'integer', minimum: 0, maximum: 60 },
+        tags: { type: 'array', maxItems: 2, items: { type: 'string', pattern: '^[a-z]+$' } },
+        contact: { anyOf: [{ type: 'string' }, { type: 'object', required: ['phone'] }] }
+    }
+};
+
+test('validateSchema accepts a valid body and extra properties', () => {
+    assert.deepEqual(validateSchema(sendSchema, { phone: '9876543210', message: 'Hi', tags: ['emi'], extra: true }), []);
+});
+
+test('validateSchema reports missing and null required fields', () => {
+    assert.deepEqual(validateSchema(sendSchema, { phone: null }), [
+        { field: 'phone', message: 'is required' },
+        { field: 'message', message: 'is required' }
+    ]);
+});
+
+test('validateSchema reports every invalid field with its path', () => {
+    const errors = validateSchema(sendSchema, {
+        phone: '',
+        message: 'far too long a message',
+        priority: 'urgent',
+        delaySeconds: 1.5,
+        tags: ['ok', 'Not-OK']
+    });
+    assert.deepEqual(errors, [
+        { field: 'phone', message: 'must not be empty' },
+        { field: 'message', message: 'must be at most 10 characters' },
+        { field: 'priority', message: 'must be one of: high, normal, low' },
+        { field: 'delaySeconds', message: 'must be an integer' },
+        { field: 'tags[1]', message: 'must match ^[a-z]+$' }
+    ]);
+});
+
+test('validateSchema checks ranges, item counts and anyOf branches', () => {
+    const base = { phone: '1', message: 'm' };
+    assert.deepEqual(validateSchema(sendSchema, { ...base, delaySeconds: 61 }),
+        [{ field: 'delaySeconds', message: 'must be at most 60' }]);
+    assert.deepEqual(validateSchema(sendSchema, { ...base, tags: ['a', 'b', 'c'] }),
+        [{ field: 'tags', message: 'must have at most 2 items' }]);
+    assert.deepEqual(validateSchema(sendSchema, { ...base, contact: {} }),
+        [{ field: 'contact.phone', message: 'is required' }]);
+    assert.deepEqual(validateSchema(sendSchema, { ...base, contact: 5 }),
+        [{ field: 'contact', message: 'must be a string or an object' }]);
+});
+
+test('validateSchema reads strings as the schema type when coercing', () => {
+    const querySchema = {
+        type: 'object',
+        properties: {
+            limit: { type: 'integer', minimum: 1 },
+            unread: { type: 'boolean' },
+            filter: { type: 'object' }
+        }
+    };
+    const query = { limit: '25', unread: 'true', filter: '{"from":"me"}' };
+    assert.deepEqual(validateSchema(querySchema, query, { coerceStrings: true }), []);
+    assert.deepEqual(validateSchema(querySchema, query), [
+        { field: 'limit', message: 'must be an integer' },
+        { field: 'unread', message: 'must be a boolean' },
+        { field: 'filter', message: 'must be an object' }
+    ]);
+    assert.deepEqual(validateSchema(querySchema, { limit: '0' }, { coerceStrings: true }),
+        [{ field: 'limit', message: 'must be at least 1' }]);
+});